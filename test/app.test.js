@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['config.js', 'geometry.js', 'app.js'], {
+    document: { addEventListener: () => {} }
+});
+const App = sandbox.get('App');
+
+function card(name, x, y, w, h) {
+    return {
+        name,
+        tl: { x, y },
+        tr: { x: x + w, y },
+        br: { x: x + w, y: y + h },
+        bl: { x, y: y + h }
+    };
+}
+
+test('multi-document quads read row by row, left to right', () => {
+    // Two rows of cards, each a little higher or lower and of slightly different size
+    const quads = [
+        card('D', 520, 200, 220, 100),
+        card('B', 290, 30, 210, 110),
+        card('E', 40, 212, 225, 92),
+        card('A', 50, 40, 215, 100),
+        card('F', 280, 192, 230, 108),
+        card('C', 545, 52, 205, 95)
+    ];
+
+    const order = [...App.sortReadingOrder(quads)].map(quad => quad.name);
+
+    assert.deepStrictEqual(order, ['A', 'B', 'C', 'E', 'F', 'D']);
+});
+
+test('a single row in any input order comes out left to right', () => {
+    const quads = [card('C', 600, 55, 200, 120), card('A', 20, 40, 200, 130), card('B', 310, 70, 200, 110)];
+
+    assert.deepStrictEqual([...App.sortReadingOrder(quads)].map(quad => quad.name), ['A', 'B', 'C']);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['config.js', 'geometry.js', 'rectangle-math.js', 'detector.js']);
+const Detector = sandbox.get('Detector');
+const RectangleMath = sandbox.get('RectangleMath');
+const CONFIG = sandbox.get('CONFIG');
+
+// Page seen in perspective - 3-corner completion would move any corner
+const QUAD = {
+    tl: { x: 100, y: 100 },
+    tr: { x: 500, y: 120 },
+    br: { x: 540, y: 600 },
+    bl: { x: 60, y: 580 }
+};
+
+test('clean OpenCV-only quad keeps all four corners', () => {
+    // One corner against a low-contrast background
+    const support = { tl: 0.7, tr: 0.7, br: 0.6, bl: 0.3 };
+    const fused = Detector.fuse({ corners: QUAD, support }, null);
+
+    for (const key of ['tl', 'tr', 'br', 'bl']) {
+        assert.ok(fused._cornerConfidences[key] >= RectangleMath.CONFIG.CORNER_CONFIDENCE_MIN,
+            `${key} confidence ${fused._cornerConfidences[key]}`);
+    }
+
+    const completed = RectangleMath.tryThreeCornerCompletion(fused, fused._cornerConfidences);
+    for (const key of ['tl', 'tr', 'br', 'bl']) {
+        assert.deepStrictEqual({ ...completed[key] }, QUAD[key]);
+    }
+});
+
+const FULL = { tl: 1, tr: 1, br: 1, bl: 1 };
+
+function heatmap(corners, confidence, { ambiguous = [], cornerConfidence = confidence } = {}) {
+    return {
+        ...corners,
+        _confidence: confidence,
+        _ambiguous: ambiguous,
+        _cornerConfidences: { tl: cornerConfidence, tr: cornerConfidence, br: cornerConfidence, bl: cornerConfidence }
+    };
+}
+
+test('agreeing corners are averaged by score', () => {
+    const shifted = { ...QUAD, tl: { x: 110, y: 100 } };
+    const fused = Detector.fuse(
+        { corners: QUAD, support: { ...FULL, tl: 0.5 } },
+        { corners: heatmap(shifted, 0.8), support: FULL }
+    );
+
+    // OpenCV 0.8 × 0.5 = 0.4, heatmap 0.8 × 1 = 0.8
+    assert.ok(Math.abs(fused.tl.x - (100 * 0.4 + 110 * 0.8) / 1.2) < 1e-9, `tl.x ${fused.tl.x}`);
+    assert.ok(Math.abs(fused.tl.y - 100) < 1e-9);
+    assert.ok(Math.abs(fused._cornerConfidences.tl - (1 - 0.6 * 0.2)) < 1e-9);
+});
+
+test('disagreeing corners go to the higher score, penalized', () => {
+    const moved = { ...QUAD, tr: { x: 400, y: 200 } };
+    const fused = Detector.fuse(
+        { corners: QUAD, support: FULL },
+        { corners: heatmap(moved, 0.9), support: { ...FULL, tr: 0.5 } }
+    );
+
+    // OpenCV 0.8 beats heatmap 0.9 × 0.5 = 0.45
+    assert.deepStrictEqual({ ...fused.tr }, QUAD.tr);
+    assert.ok(Math.abs(fused._cornerConfidences.tr - CONFIG.FUSION.OPENCV_PRIOR * CONFIG.FUSION.DISAGREEMENT_PENALTY) < 1e-9);
+});
+
+test('heatmap alone needs a confident detection with at most one ambiguous corner', () => {
+    const rescue = CONFIG.HEATMAP.CONFIDENCE_RESCUE;
+
+    assert.strictEqual(Detector.fuse(null, { corners: heatmap(QUAD, rescue - 0.05), support: FULL }), null);
+    assert.strictEqual(Detector.fuse(null, { corners: heatmap(QUAD, 0.9, { ambiguous: ['tl', 'br'] }), support: FULL }), null);
+
+    const fused = Detector.fuse(null, { corners: heatmap(QUAD, 0.9, { ambiguous: ['tl'] }), support: FULL });
+    assert.ok(fused);
+    assert.deepStrictEqual({ ...fused.br }, QUAD.br);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['config.js', 'edge-fit.js']);
+const EdgeFitter = sandbox.get('EdgeFitter');
+
+const W = 400;
+const H = 300;
+const KEYS = ['tl', 'tr', 'br', 'bl'];
+
+/**
+ * Light shape on a dark background, anti-aliased (4×4 samples per pixel,
+ * pixel centres at integer coordinates)
+ * @param {Function} inside - (x, y) → boolean
+ * @param {Function} background - (x, y) → gray level outside the shape
+ */
+function render(inside, background = () => 40) {
+    const data = new Uint8ClampedArray(W * H * 4);
+    for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) {
+            let covered = 0;
+            for (let sy = 0; sy < 4; sy++) {
+                for (let sx = 0; sx < 4; sx++) {
+                    if (inside(x - 0.5 + (sx + 0.5) / 4, y - 0.5 + (sy + 0.5) / 4)) covered++;
+                }
+            }
+            const value = 220 * covered / 16 + background(x, y) * (1 - covered / 16);
+            const i = (y * W + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: W, height: H };
+}
+
+/**
+ * Point inside a convex quad (clockwise corners)
+ */
+function inQuad(quad) {
+    const pts = KEYS.map(key => quad[key]);
+    return (x, y) => pts.every((a, i) => {
+        const b = pts[(i + 1) % 4];
+        return (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x) >= 0;
+    });
+}
+
+/**
+ * Every corner moved towards the centre by the given distance
+ */
+function pullIn(quad, distance) {
+    const cx = KEYS.reduce((sum, key) => sum + quad[key].x, 0) / 4;
+    const cy = KEYS.reduce((sum, key) => sum + quad[key].y, 0) / 4;
+    const seed = {};
+    for (const key of KEYS) {
+        const length = Math.hypot(cx - quad[key].x, cy - quad[key].y);
+        seed[key] = {
+            x: quad[key].x + (cx - quad[key].x) / length * distance,
+            y: quad[key].y + (cy - quad[key].y) / length * distance
+        };
+    }
+    return seed;
+}
+
+function assertCorners(actual, expected, tolerance) {
+    for (const key of KEYS) {
+        const error = Math.hypot(actual[key].x - expected[key].x, actual[key].y - expected[key].y);
+        assert.ok(error < tolerance, `${key} off by ${error.toFixed(2)}px`);
+    }
+}
+
+test('rounded rectangle: corners at the intersection of the fitted edges', () => {
+    const box = { x0: 60, y0: 50, x1: 340, y1: 250, r: 12 };
+    const image = render((x, y) => {
+        if (x < box.x0 || x > box.x1 || y < box.y0 || y > box.y1) return false;
+        const dx = Math.max(box.x0 + box.r - x, 0, x - (box.x1 - box.r));
+        const dy = Math.max(box.y0 + box.r - y, 0, y - (box.y1 - box.r));
+        return dx * dx + dy * dy <= box.r * box.r;
+    });
+    const truth = {
+        tl: { x: box.x0, y: box.y0 },
+        tr: { x: box.x1, y: box.y0 },
+        br: { x: box.x1, y: box.y1 },
+        bl: { x: box.x0, y: box.y1 }
+    };
+
+    // Seed where approxPolyDP would put a rounded corner: cut inward
+    const { corners, fitted } = EdgeFitter.fit(pullIn(truth, 5), image);
+
+    assertCorners(corners, truth, 0.3);
+    for (const key of KEYS) assert.strictEqual(fitted[key], true, key);
+});
+
+test('tilted page seeded off its corners', () => {
+    const truth = {
+        tl: { x: 82.3, y: 61.7 },
+        tr: { x: 331.6, y: 78.2 },
+        br: { x: 318.4, y: 247.9 },
+        bl: { x: 67.1, y: 231.5 }
+    };
+    const image = render(inQuad(truth));
+
+    const { corners, fitted } = EdgeFitter.fit(pullIn(truth, 4), image);
+
+    assertCorners(corners, truth, 0.3);
+    for (const key of KEYS) assert.strictEqual(fitted[key], true, key);
+});
+
+test('side without an edge keeps the seed corners', () => {
+    const truth = {
+        tl: { x: 60, y: 50 },
+        tr: { x: 340, y: 50 },
+        br: { x: 340, y: 250 },
+        bl: { x: 60, y: 250 }
+    };
+
+    // Below the page the background is as light as the paper
+    const image = render(inQuad(truth), (x, y) => (y > 200 ? 220 : 40));
+    const bottom = EdgeFitter.fitSide(image, truth.br, truth.bl, 5);
+    assert.strictEqual(bottom, null);
+
+    const seed = pullIn(truth, 3);
+    const { corners, fitted } = EdgeFitter.fit(seed, image);
+
+    assert.deepStrictEqual({ br: fitted.br, bl: fitted.bl }, { br: false, bl: false });
+    assert.deepStrictEqual({ ...corners.br }, seed.br);
+    assert.deepStrictEqual({ ...corners.bl }, seed.bl);
+    assert.strictEqual(fitted.tl, true);
+    assert.strictEqual(fitted.tr, true);
+});
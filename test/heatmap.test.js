@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['config.js', 'heatmap.js']);
+const HeatmapDetector = sandbox.get('HeatmapDetector');
+const CONFIG = sandbox.get('CONFIG');
+
+const SIZE = CONFIG.HEATMAP.OUTPUT_SIZE;
+
+/**
+ * One SIZE×SIZE map: sum of Gaussian blobs { x, y, value } (sigma in cells)
+ */
+function map(peaks, { sigma = 1.2, noise = 0 } = {}) {
+    const out = new Float32Array(SIZE * SIZE);
+    let seed = 11;
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            seed = (seed * 16807) % 2147483647;
+            let value = noise * seed / 2147483647;
+            for (const peak of peaks) {
+                value += peak.value * Math.exp(-((x - peak.x) ** 2 + (y - peak.y) ** 2) / (2 * sigma * sigma));
+            }
+            out[y * SIZE + x] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * Model output: the four corner maps back to back
+ */
+function output(maps) {
+    const out = new Float32Array(4 * SIZE * SIZE);
+    maps.forEach((m, c) => out.set(m, c * SIZE * SIZE));
+    return out;
+}
+
+test('off-grid peak is located to a fraction of a cell', () => {
+    const peak = HeatmapDetector.locatePeak(map([{ x: 10.3, y: 20.7, value: 0.9 }]), 0, SIZE);
+
+    assert.ok(Math.abs(peak.x - 10.3) < 0.15, `x ${peak.x}`);
+    assert.ok(Math.abs(peak.y - 20.7) < 0.15, `y ${peak.y}`);
+    assert.ok(peak.sharpness >= CONFIG.HEATMAP.MIN_SHARPNESS);
+
+    // Same accuracy in frame coordinates through parseHeatmaps
+    const single = map([{ x: 10.3, y: 20.7, value: 0.9 }]);
+    const corners = HeatmapDetector.parseHeatmaps(output([single, single, single, single]), SIZE, 640, 480);
+    assert.ok(Math.abs(corners.tl.x - 10.3 / SIZE * 640) < 0.15 * 640 / SIZE);
+    assert.strictEqual(corners._ambiguous.length, 0);
+    assert.ok(corners._cornerConfidences.tl > 0.8);
+});
+
+test('two peaks make the corner ambiguous with confidence 0', () => {
+    const clean = map([{ x: 5, y: 5, value: 0.9 }]);
+    const bimodal = map([{ x: 24, y: 6, value: 0.9 }, { x: 8, y: 25, value: 0.8 }]);
+    const corners = HeatmapDetector.parseHeatmaps(output([clean, bimodal, clean, clean]), SIZE, 640, 480);
+
+    assert.deepStrictEqual([...corners._ambiguous], ['tr']);
+    assert.strictEqual(corners._cornerConfidences.tr, 0);
+    assert.ok(corners._cornerConfidences.tl > 0.8);
+});
+
+test('flat map is too diffuse to trust', () => {
+    const flat = map([], { noise: 0.05 });
+    const peak = HeatmapDetector.locatePeak(flat, 0, SIZE);
+    assert.ok(peak.sharpness < CONFIG.HEATMAP.MIN_SHARPNESS, `sharpness ${peak.sharpness}`);
+
+    const corners = HeatmapDetector.parseHeatmaps(output([flat, flat, flat, flat]), SIZE, 640, 480);
+    assert.strictEqual(corners._ambiguous.length, 4);
+    assert.strictEqual(corners._confidence, 0);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, canvas } = require('./load');
+
+const rotations = [];
+const sandbox = load(['config.js', 'image-processor.js'], {
+    // deskew() draws into a new canvas - record the rotation it applies
+    document: {
+        createElement: () => ({
+            getContext: () => ({
+                fillRect() {},
+                translate() {},
+                drawImage() {},
+                rotate: (radians) => rotations.push(radians * 180 / Math.PI)
+            })
+        })
+    }
+});
+const ImageProcessor = sandbox.get('ImageProcessor');
+
+const W = 600;
+const H = 780;
+
+/**
+ * Text page turned clockwise by the given angle (screen coordinates, y down)
+ */
+function tiltedPage(degrees) {
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const data = new Uint8ClampedArray(W * H * 4);
+
+    for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) {
+            // Where this pixel was before the turn
+            const dx = x - W / 2, dy = y - H / 2;
+            const u = dx * cos + dy * sin + W / 2;
+            const v = -dx * sin + dy * cos + H / 2;
+
+            const line = v > 60 && v < H - 60 && v % 28 < 9;
+            const word = u > 60 && u < W - 60 && (Math.floor(u / 37) * 7) % 5 !== 0;
+            const value = line && word ? 30 : 235;
+
+            const i = (y * W + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+    return canvas(W, H, data);
+}
+
+test('skew of a turned page is measured with the sign that undoes it', () => {
+    for (const degrees of [2, -1.5, 3.2]) {
+        const angle = ImageProcessor.estimateSkew(tiltedPage(degrees));
+        assert.ok(Math.abs(angle + degrees) <= 0.1, `turned ${degrees}°, estimated ${angle}°`);
+    }
+});
+
+test('deskew rotates a turned page back', () => {
+    rotations.length = 0;
+    ImageProcessor.deskew(tiltedPage(2));
+
+    assert.strictEqual(rotations.length, 1);
+    assert.ok(Math.abs(rotations[0] + 2) <= 0.1, `rotated ${rotations[0]}°`);
+});
+
+test('straight page is left alone', () => {
+    const page = tiltedPage(0);
+    assert.strictEqual(ImageProcessor.deskew(page), page);
+});
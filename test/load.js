@@ -0,0 +1,39 @@
+/**
+ * Load www/js modules into a sandbox the way index.html does (classic
+ * scripts sharing one global scope)
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const JS_DIR = path.join(__dirname, '..', 'www', 'js');
+
+/**
+ * @param {string[]} files - Script names in load order, e.g. ['config.js', 'geometry.js']
+ * @param {Object} globals - Extra browser globals the scripts use (Blob, TextEncoder, ...)
+ * @returns {Object} Sandbox; top-level constants via sandbox.get('Name')
+ */
+function load(files, globals = {}) {
+    const context = vm.createContext({ console, Math, Date, ...globals });
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+    }
+    return { get: (name) => vm.runInContext(name, context) };
+}
+
+/**
+ * Stand-in for an HTMLCanvasElement that only serves getImageData
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ */
+function canvas(width, height, data) {
+    return {
+        width,
+        height,
+        getContext: () => ({ getImageData: () => ({ data, width, height }) })
+    };
+}
+
+module.exports = { load, canvas };
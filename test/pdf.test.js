@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['config.js', 'pdf.js'], { WeakMap });
+const PDFGenerator = sandbox.get('PDFGenerator');
+const CONFIG = sandbox.get('CONFIG');
+
+const options = (overrides) => ({ ...CONFIG.PDF.DEFAULTS, ...overrides });
+
+/**
+ * Layout values equal to 0.01 mm
+ */
+function assertLayout(actual, expected) {
+    for (const [key, value] of Object.entries(expected)) {
+        if (value === null || typeof value === 'object') {
+            assert.deepStrictEqual(actual[key] && { ...actual[key] }, value, key);
+        } else {
+            assert.ok(Math.abs(actual[key] - value) < 0.01, `${key}: ${actual[key]} ≠ ${value}`);
+        }
+    }
+}
+
+test('portrait scan fits A4 inside the margins', () => {
+    const layout = PDFGenerator.layoutPage({ width: 2480, height: 3508 }, options({ pageSize: 'a4', margin: 5 }));
+
+    // Width decides: 200 mm wide, centred vertically in the 287 mm
+    const imgH = 200 * 3508 / 2480;
+    assertLayout(layout, {
+        pageWidth: 210, pageHeight: 297,
+        imgX: 5, imgY: 5 + (287 - imgH) / 2, imgW: 200, imgH,
+        clip: null
+    });
+});
+
+test('landscape scan turns Letter to landscape', () => {
+    const page = { width: 3300, height: 2550 };
+
+    // Fit: height decides, centred horizontally
+    const fit = PDFGenerator.layoutPage(page, options({ pageSize: 'letter', margin: 5 }));
+    const fitW = 205.9 * 3300 / 2550;
+    assertLayout(fit, {
+        pageWidth: 279.4, pageHeight: 215.9,
+        imgX: 5 + (269.4 - fitW) / 2, imgY: 5, imgW: fitW, imgH: 205.9,
+        clip: null
+    });
+
+    // Fill: covers the area, the overflow is clipped to it
+    const fill = PDFGenerator.layoutPage(page, options({ pageSize: 'letter', margin: 5, fit: 'fill' }));
+    const fillH = 269.4 * 2550 / 3300;
+    assertLayout(fill, {
+        imgX: 5, imgY: 5 + (205.9 - fillH) / 2, imgW: 269.4, imgH: fillH,
+        clip: { x: 5, y: 5, w: 269.4, h: 205.9 }
+    });
+
+    // Forced portrait keeps the sheet upright
+    const portrait = PDFGenerator.layoutPage(page, options({ pageSize: 'letter', orientation: 'portrait' }));
+    assertLayout(portrait, { pageWidth: 215.9, pageHeight: 279.4 });
+});
+
+test('actual size follows the dpi', () => {
+    const page = { width: 1200, height: 1500 };
+
+    // 200 dpi: 152.4 × 190.5 mm, centred on A4
+    const actual = PDFGenerator.layoutPage(page, options({ fit: 'actual', dpi: 200, margin: 0 }));
+    assertLayout(actual, {
+        pageWidth: 210, pageHeight: 297,
+        imgX: (210 - 152.4) / 2, imgY: (297 - 190.5) / 2, imgW: 152.4, imgH: 190.5,
+        clip: null
+    });
+
+    // 150 dpi: 203.2 mm wide - more than the 200 mm inside the margins
+    const large = PDFGenerator.layoutPage(page, options({ fit: 'actual', dpi: 150, margin: 5 }));
+    assertLayout(large, { imgW: 203.2, imgH: 254, clip: { x: 5, y: 5, w: 200, h: 287 } });
+
+    // Page sized to the image
+    const image = PDFGenerator.layoutPage(page, options({ pageSize: 'image', dpi: 200, margin: 5 }));
+    assertLayout(image, { pageWidth: 162.4, pageHeight: 200.5, imgX: 5, imgY: 5, imgW: 152.4, imgH: 190.5 });
+});
+
+test('ID card sides land at true size on one A4 sheet', () => {
+    const front = { width: 1712, height: 1080, idCard: { format: 'id1', side: 'front' } };
+    const back = { width: 1712, height: 1080, idCard: { format: 'id1', side: 'back' } };
+
+    // Page options do not apply to cards
+    const opts = options({ pageSize: 'letter', margin: 20, fit: 'fill' });
+    const top = (297 - 2 * 54 - CONFIG.ID_CARD.GAP) / 2;
+
+    assertLayout(PDFGenerator.layoutPage(front, opts), {
+        pageWidth: 210, pageHeight: 297,
+        imgX: (210 - 85.6) / 2, imgY: top, imgW: 85.6, imgH: 54
+    });
+    assertLayout(PDFGenerator.layoutPage(back, opts), { imgY: top + 54 + CONFIG.ID_CARD.GAP });
+    assert.strictEqual(PDFGenerator.isCardBackOf(back, front), true);
+
+    // Card held upright
+    const upright = PDFGenerator.layoutPage({ width: 1080, height: 1712, idCard: front.idCard }, opts);
+    assertLayout(upright, { imgW: 54, imgH: 85.6 });
+});
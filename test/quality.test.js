@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['config.js', 'geometry.js', 'quality.js']);
+const ImageQuality = sandbox.get('ImageQuality');
+const CONFIG = sandbox.get('CONFIG');
+
+const W = 320;
+const H = 400;
+const PAGE = { tl: { x: 0, y: 0 }, tr: { x: W, y: 0 }, br: { x: W, y: H }, bl: { x: 0, y: H } };
+
+/**
+ * Synthetic page: paper at the given level with sensor noise, lines of
+ * dark "text", optional round highlight
+ */
+function page(paper, { noise = 8, glare = null } = {}) {
+    const data = new Uint8ClampedArray(W * H * 4);
+    let seed = 7;
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) {
+            let value = paper + (random() - 0.5) * 2 * noise;
+            if (y % 24 < 6 && x > 40 && x < W - 40 && (x >> 3) % 4 !== 0) value = 40;
+            if (glare && Math.hypot(x - glare.x, y - glare.y) < glare.radius) value = 255;
+
+            const i = (y * W + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: W, height: H };
+}
+
+test('clean white page with clipped noise is not glare', () => {
+    const quality = ImageQuality.analyze(page(246), W, H, PAGE, CONFIG.CAPTURE_QUALITY);
+
+    assert.strictEqual(quality.glareRatio, 0);
+    assert.strictEqual(quality.ok, true, quality.reason);
+});
+
+test('fully clipped page is overexposure, not glare', () => {
+    const quality = ImageQuality.analyze(page(255, { noise: 0 }), W, H, PAGE, CONFIG.CAPTURE_QUALITY);
+
+    assert.strictEqual(quality.glareRatio, 0);
+    assert.strictEqual(quality.reason, 'bright');
+});
+
+test('highlight on the page is glare', () => {
+    const quality = ImageQuality.analyze(page(200, { glare: { x: 160, y: 200, radius: 40 } }), W, H, PAGE, CONFIG.CAPTURE_QUALITY);
+
+    assert.ok(quality.glareRatio > CONFIG.CAPTURE_QUALITY.MAX_GLARE_RATIO, `glare ${quality.glareRatio}`);
+    assert.strictEqual(quality.reason, 'glare');
+});
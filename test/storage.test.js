@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['storage.js']);
+const DocumentStore = sandbox.get('DocumentStore');
+
+test('pages without a processed image are reported, not silently dropped', async () => {
+    const images = new Map([
+        ['doc/a_processed.jpg', 'data:image/jpeg;base64,AAAA'],
+        ['doc/b_source.jpg', 'data:image/jpeg;base64,BBBB']
+    ]);
+    DocumentStore.backend = { getImage: async (path) => images.get(path) || null };
+
+    const kept = { id: 'a', width: 10, height: 10, processed: 'doc/a_processed.jpg' };
+    const broken = { id: 'b', width: 10, height: 10, source: 'doc/b_source.jpg', processed: 'doc/b_processed.jpg' };
+    const { pages, missing } = await DocumentStore.loadPages({ id: 'doc', pages: [kept, broken] });
+
+    assert.deepStrictEqual([...pages].map(page => page.id), ['a']);
+    assert.deepStrictEqual([...missing], [broken]);
+    assert.deepStrictEqual([...DocumentStore.pageImagePaths(broken)], ['doc/b_source.jpg', 'doc/b_processed.jpg']);
+});
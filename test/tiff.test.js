@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, canvas } = require('./load');
+
+const sandbox = load(['config.js', 'checksum.js', 'bitonal.js', 'tiff.js'], { Blob });
+const TIFFEncoder = sandbox.get('TIFFEncoder');
+const Bitonal = sandbox.get('Bitonal');
+
+// ═══════════════════════════════════════════════════════════════
+// READER (independent of the writer)
+// ═══════════════════════════════════════════════════════════════
+
+function readTIFF(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    assert.strictEqual(view.getUint16(0), 0x4949);
+    assert.strictEqual(view.getUint16(2, true), 42);
+
+    const pages = [];
+    for (let offset = view.getUint32(4, true); offset; ) {
+        assert.strictEqual(offset % 2, 0, 'IFD on a word boundary');
+
+        const count = view.getUint16(offset, true);
+        const tags = {};
+        let previous = 0;
+        for (let i = 0; i < count; i++) {
+            const pos = offset + 2 + i * 12;
+            const tag = view.getUint16(pos, true);
+            const type = view.getUint16(pos + 2, true);
+            const n = view.getUint32(pos + 4, true);
+            assert.ok(tag > previous, 'tags sorted');
+            previous = tag;
+
+            const size = { 3: 2, 4: 4, 5: 8 }[type];
+            const at = n * size > 4 ? view.getUint32(pos + 8, true) : pos + 8;
+            const values = [];
+            for (let j = 0; j < n; j++) {
+                if (type === 3) values.push(view.getUint16(at + j * 2, true));
+                else if (type === 4) values.push(view.getUint32(at + j * 4, true));
+                else values.push(view.getUint32(at + j * 8, true) / view.getUint32(at + j * 8 + 4, true));
+            }
+            tags[tag] = values;
+        }
+
+        pages.push(tags);
+        offset = view.getUint32(offset + 2 + count * 12, true);
+    }
+    return pages;
+}
+
+/**
+ * TIFF LZW: MSB-first codes, width grows one code early
+ */
+function unLZW(bytes) {
+    const out = [];
+    let bit = 0;
+    let width = 9;
+    let table;
+    let previous = null;
+    const reset = () => {
+        table = Array.from({ length: 258 }, (_, i) => [i]);
+        width = 9;
+        previous = null;
+    };
+    reset();
+
+    while (bit + width <= bytes.length * 8) {
+        let code = 0;
+        for (let i = 0; i < width; i++, bit++) {
+            code = (code << 1) | ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1);
+        }
+        if (code === 257) break;
+        if (code === 256) {
+            reset();
+            continue;
+        }
+
+        let entry = table[code];
+        if (previous) {
+            if (code >= table.length) entry = previous.concat(previous[0]);
+            table.push(previous.concat(entry[0]));
+        }
+        out.push(...entry);
+        previous = entry;
+        if (table.length + 1 >= 1 << width && width < 12) width++;
+    }
+    return out;
+}
+
+function unPackBits(bytes) {
+    const out = [];
+    for (let i = 0; i < bytes.length; ) {
+        const n = bytes[i++];
+        if (n < 128) {
+            for (let j = 0; j <= n; j++) out.push(bytes[i++]);
+        } else if (n > 128) {
+            const value = bytes[i++];
+            for (let j = 0; j < 257 - n; j++) out.push(value);
+        }
+    }
+    return out;
+}
+
+/**
+ * Decoded samples of one page (predictor undone)
+ */
+function samples(bytes, tags) {
+    const raw = [];
+    tags[273].forEach((offset, i) => {
+        const strip = bytes.subarray(offset, offset + tags[279][i]);
+        raw.push(...(tags[259][0] === 5 ? unLZW(strip) : unPackBits(strip)));
+    });
+
+    if (tags[317] && tags[317][0] === 2) {
+        const channels = tags[277][0];
+        const rowBytes = tags[256][0] * channels;
+        for (let y = 0; y < tags[257][0]; y++) {
+            for (let i = y * rowBytes + channels; i < (y + 1) * rowBytes; i++) {
+                raw[i] = (raw[i] + raw[i - channels]) & 0xFF;
+            }
+        }
+    }
+    return raw;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PAGES
+// ═══════════════════════════════════════════════════════════════
+
+function pixels(width, height, pixel) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set([...pixel(x, y), 255], (y * width + x) * 4);
+        }
+    }
+    return data;
+}
+
+let seed = 3;
+const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+};
+
+// 240×160 RGB = 115 KB raw: two strips, and enough codes to reset the LZW table
+const COLOUR = { width: 240, height: 160 };
+COLOUR.data = pixels(COLOUR.width, COLOUR.height, (x, y) =>
+    [x, (y * 3) & 0xFF, random() < 0.3 ? Math.floor(random() * 256) : 128]);
+
+const GRAY = { width: 97, height: 31 };
+GRAY.data = pixels(GRAY.width, GRAY.height, (x, y) => Array(3).fill((x * y) & 0xFF));
+
+const TEXT = { width: 101, height: 40 };
+TEXT.data = pixels(TEXT.width, TEXT.height, (x, y) => Array(3).fill(y % 8 < 3 && x % 11 < 7 ? 0 : 255));
+
+const page = ({ width, height, data }) => canvas(width, height, data);
+
+test('multi-page TIFF decodes pixel-exact', async () => {
+    const blob = TIFFEncoder.build([
+        TIFFEncoder.encodePage(page(COLOUR), { dpi: 300 }),
+        TIFFEncoder.encodePage(page(GRAY), { dpi: 200 }),
+        TIFFEncoder.encodePage(page(TEXT), { dpi: 300, bitonal: true })
+    ]);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const [colour, gray, text] = readTIFF(bytes);
+
+    // RGB, LZW + predictor, split into strips
+    assert.deepStrictEqual([colour[256][0], colour[257][0], colour[262][0], colour[259][0]], [240, 160, 2, 5]);
+    assert.ok(colour[273].length > 1);
+    assert.deepStrictEqual(colour[297], [0, 3]);
+    assert.strictEqual(colour[282][0], 300);
+    const rgb = [];
+    for (let i = 0; i < COLOUR.data.length; i += 4) rgb.push(COLOUR.data[i], COLOUR.data[i + 1], COLOUR.data[i + 2]);
+    assert.deepStrictEqual(samples(bytes, colour), rgb);
+
+    // Gray page stored as one channel
+    assert.deepStrictEqual([gray[258], gray[262][0], gray[282][0]], [[8], 1, 200]);
+    assert.deepStrictEqual(samples(bytes, gray), Array.from(GRAY.data.filter((_, i) => i % 4 === 1)));
+
+    // 1-bit PackBits
+    assert.deepStrictEqual([text[258], text[259][0], text[297]], [[1], 32773, [2, 3]]);
+    const { rows } = Bitonal.pack(page(TEXT));
+    assert.deepStrictEqual(samples(bytes, text), Array.from(rows));
+});
+
+test('PackBits handles runs and literals longer than 128 bytes', () => {
+    const row = new Uint8Array(400);
+    for (let i = 0; i < 200; i++) row[i] = i;      // Literal run
+    row.fill(7, 200);                               // Repeat run
+
+    assert.deepStrictEqual(unPackBits(TIFFEncoder.packBits(row)), Array.from(row));
+});
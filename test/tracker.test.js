@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['config.js', 'geometry.js', 'tracker.js']);
+const CornerTracker = sandbox.get('CornerTracker');
+
+const W = 320;
+const H = 240;
+const QUAD = {
+    tl: { x: 80, y: 60 },
+    tr: { x: 240, y: 60 },
+    br: { x: 240, y: 180 },
+    bl: { x: 80, y: 180 },
+    _confidence: 0.9,
+    _cornerConfidences: { tl: 0.9, tr: 0.9, br: 0.9, bl: 0.9 }
+};
+
+/**
+ * Light page on a dark background
+ */
+function frame() {
+    const data = new Uint8ClampedArray(W * H * 4);
+    for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) {
+            const page = x >= QUAD.tl.x && x < QUAD.tr.x && y >= QUAD.tl.y && y < QUAD.bl.y;
+            const i = (y * W + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = page ? 220 : 40;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: W, height: H };
+}
+
+test('only flow-only frames are marked as tracked', () => {
+    CornerTracker.reset();
+    const image = frame();
+
+    assert.strictEqual(CornerTracker.track(image, W, H), null);
+    const detected = CornerTracker.update(QUAD);
+    assert.ok(detected);
+    assert.strictEqual(detected._tracked, undefined);
+
+    const tracked = CornerTracker.track(image, W, H);
+    assert.ok(tracked);
+    assert.strictEqual(tracked._tracked, true);
+
+    assert.strictEqual(CornerTracker.update(QUAD)._tracked, undefined);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const sandbox = load(['checksum.js', 'zip.js'], { Blob, TextEncoder });
+const ZipArchive = sandbox.get('ZipArchive');
+const Checksum = sandbox.get('Checksum');
+
+test('CRC-32 matches the standard check value', () => {
+    assert.strictEqual(Checksum.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.strictEqual(Checksum.crc32(new Uint8Array(0)), 0);
+});
+
+test('ZIP entries round-trip through the central directory', async () => {
+    const files = [
+        { name: 'page-01.jpg', data: new Uint8Array([0xFF, 0xD8, 1, 2, 3, 0xFF, 0xD9]) },
+        { name: 'seite-ü.png', data: new Uint8Array(1000).map((_, i) => i * 7) },
+        { name: 'empty.txt', data: new Uint8Array(0) }
+    ];
+    const date = new Date(2024, 4, 17, 13, 45, 30);
+    const blob = ZipArchive.create(files, date);
+    assert.strictEqual(blob.type, 'application/zip');
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const decoder = new TextDecoder();
+
+    // End of central directory
+    const end = bytes.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054B50);
+    assert.strictEqual(view.getUint16(end + 10, true), files.length);
+    const centralOffset = view.getUint32(end + 16, true);
+    assert.strictEqual(centralOffset + view.getUint32(end + 12, true), end);
+
+    let pos = centralOffset;
+    for (const file of files) {
+        assert.strictEqual(view.getUint32(pos, true), 0x02014B50);
+        const crc = view.getUint32(pos + 16, true);
+        const size = view.getUint32(pos + 24, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const local = view.getUint32(pos + 42, true);
+        assert.strictEqual(decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength)), file.name);
+        assert.strictEqual(view.getUint16(pos + 14, true), ((2024 - 1980) << 9) | (5 << 5) | 17);
+        assert.strictEqual(view.getUint16(pos + 12, true), (13 << 11) | (45 << 5) | 15);
+
+        // Local header agrees and is followed by the stored data
+        assert.strictEqual(view.getUint32(local, true), 0x04034B50);
+        assert.strictEqual(view.getUint16(local + 8, true), 0);
+        assert.strictEqual(view.getUint32(local + 14, true), crc);
+        const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + size);
+
+        assert.deepStrictEqual(Array.from(data), Array.from(file.data));
+        assert.strictEqual(crc, Checksum.crc32(file.data));
+        pos += 46 + nameLength;
+    }
+});
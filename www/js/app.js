@@ -18,7 +18,32 @@ const App = {
     pages: [],
     detecting: false,
     currentCapture: null,
+    captureSource: null,    // { frame, corners } the current capture was cropped from
+    editing: null,          // { index, recropped, scanMode } while re-editing a saved page
+    scanMode: 'document',   // 'document' | 'book' (dewarp curved pages) | 'spread' (two pages) | 'multi' | 'idcard'
+    idCardSide: 'front',    // ID card mode: side captured next
+    captureQueue: [],       // Further pages of the current shot [{ capture, source }]
+    autoRotations: new WeakMap(),   // Corrected capture → orientation fix applied (degrees)
+    qualityOverrideUntil: 0,        // Manual capture held for quality - next tap before this captures
+    multiQuads: [],         // Multi-document mode: quads in reading order (video coords)
+    multiMissed: 0,         // Frames since detectAll found anything
+    capturing: false,
+    insertAt: null,         // Index new pages go to (null = append)
+    lastFrame: null,        // Latest preview { imageData, width, height }
     isNative: false,
+    
+    // Auto-capture
+    autoCapture: {
+        mode: 'off',        // 'off' | 'auto' | 'batch'
+        armed: true,        // false until the captured page leaves the frame
+        signature: null,    // ImageQuality signature of the last captured page
+        missedFrames: 0,
+        blocked: null       // Quality gate message while locked
+    },
+    
+    // Library
+    currentDocument: null,
+    saveQueue: Promise.resolve(),
 
     /**
      * Initialize application
@@ -46,8 +71,20 @@ const App = {
         // Bind events
         this.bindEvents();
         
-        // Initialize heatmap detector
-        await HeatmapDetector.init();
+        // Restore user preferences
+        Settings.load();
+        this.setAutoCaptureMode(Settings.get('autoCaptureMode'));
+        this.setScanMode(Settings.get('scanMode'));
+        UI.setDeskew(Settings.get('autoDeskew'));
+        UI.setVoiceGuidance(Settings.get('voiceGuidance'));
+        
+        // Open document library (IndexedDB / Filesystem)
+        await DocumentStore.init();
+        
+        // Preview detection in a worker; otherwise the heatmap runs here
+        if (!DetectionClient.init()) {
+            await HeatmapDetector.init();
+        }
         
         console.log('✅ App initialized');
     },
@@ -58,9 +95,27 @@ const App = {
     bindEvents() {
         // Welcome screen
         document.getElementById('btn-start').onclick = () => this.startCamera();
+        document.getElementById('btn-library').onclick = () => this.showLibrary();
+        
+        // Library screen
+        document.getElementById('btn-library-back').onclick = () => UI.showScreen('welcome');
+        document.getElementById('btn-library-new').onclick = () => this.startNewDocument();
         
         // Camera screen
         document.getElementById('btn-back').onclick = () => this.stopCamera();
+        document.getElementById('btn-auto-capture').onclick = () => this.cycleAutoCaptureMode();
+        document.getElementById('btn-deskew').onclick = () => this.toggleDeskew();
+        document.getElementById('btn-voice').onclick = () => this.toggleVoiceGuidance();
+        document.getElementById('btn-torch').onclick = () => this.toggleTorch();
+        document.getElementById('zoom-slider').oninput = (e) => CameraControls.setZoom(Number(e.target.value));
+        document.getElementById('exposure-slider').oninput = (e) => CameraControls.setExposure(Number(e.target.value));
+        this.video.addEventListener('click', (e) => this.focusAt(e));
+        this.bindPinchZoom();
+        document.querySelectorAll('.scan-mode-btn[data-mode]').forEach(btn => {
+            btn.onclick = () => this.setScanMode(btn.dataset.mode);
+        });
+        document.getElementById('btn-spread-rtl').onclick = () => this.toggleSpreadDirection();
+        document.getElementById('btn-id-card').onclick = () => this.toggleIdCardFormat();
         document.getElementById('btn-capture').onclick = () => this.handleCapture();
         document.getElementById('btn-gallery').onclick = () => this.openGallery();
         document.getElementById('gallery-input').onchange = (e) => this.handleGallerySelect(e);
@@ -91,18 +146,47 @@ const App = {
         };
         
         // Result screen
-        document.getElementById('btn-result-back').onclick = () => UI.showScreen('camera');
-        document.getElementById('btn-add-scan').onclick = () => UI.showScreen('camera');
-        document.getElementById('btn-add-gallery').onclick = () => document.getElementById('add-image-input').click();
+        document.getElementById('btn-result-back').onclick = () => this.closeResults();
+        document.getElementById('result-title').onclick = () => {
+            if (this.currentDocument) this.renameDocument(this.currentDocument.id);
+        };
+        document.getElementById('btn-add-scan').onclick = () => this.insertPages(this.pages.length, 'scan');
+        document.getElementById('btn-add-gallery').onclick = () => this.insertPages(this.pages.length, 'image');
         document.getElementById('add-image-input').onchange = (e) => this.handleAddImages(e);
-        document.getElementById('btn-create-pdf').onclick = () => this.createPDF();
+        document.getElementById('btn-create-pdf').onclick = () => this.showPdfSettings();
+        document.getElementById('btn-copy-text').onclick = () => this.copyText();
+        
+        // PDF settings sheet
+        document.getElementById('modal-pdf-backdrop').onclick = () => UI.hidePdfSettings();
+        document.getElementById('btn-pdf-settings-close').onclick = () => UI.hidePdfSettings();
+        document.getElementById('btn-pdf-settings-cancel').onclick = () => UI.hidePdfSettings();
+        document.getElementById('btn-pdf-settings-create').onclick = () => this.createExportFromSettings();
+        document.querySelectorAll('#modal-pdf select, #modal-pdf input').forEach(field => {
+            field.onchange = () => {
+                UI.updatePdfSettingsFields();
+                this.updatePdfEstimate();
+            };
+        });
         
         // Share modal
         document.getElementById('modal-backdrop').onclick = () => UI.hideShareModal();
         document.getElementById('btn-close-modal').onclick = () => UI.hideShareModal();
-        document.getElementById('btn-download').onclick = () => this.downloadPDF();
-        document.getElementById('btn-whatsapp').onclick = () => this.sharePDF();
+        document.getElementById('btn-download').onclick = () => this.downloadExport();
+        document.getElementById('btn-whatsapp').onclick = () => this.shareExport();
         document.getElementById('btn-new-scan').onclick = () => this.startNewScan();
+        
+        // Page actions sheet
+        document.getElementById('modal-page-backdrop').onclick = () => UI.hidePageActions();
+        document.getElementById('btn-page-cancel').onclick = () => UI.hidePageActions();
+        document.getElementById('btn-page-recrop').onclick = () => this.recropPage(this.selectedPageIndex);
+        document.getElementById('btn-page-refilter').onclick = () => this.refilterPage(this.selectedPageIndex);
+        document.getElementById('btn-page-rotate-left').onclick = () => this.rotatePage(this.selectedPageIndex, 270);
+        document.getElementById('btn-page-rotate-right').onclick = () => this.rotatePage(this.selectedPageIndex, 90);
+        document.getElementById('btn-page-rotate-180').onclick = () => this.rotatePage(this.selectedPageIndex, 180);
+        document.getElementById('btn-page-undo-orientation').onclick = () => this.undoAutoRotation(this.selectedPageIndex);
+        document.getElementById('btn-page-duplicate').onclick = () => this.duplicatePage(this.selectedPageIndex);
+        document.getElementById('btn-page-insert-scan').onclick = () => this.insertPages(this.selectedPageIndex + 1, 'scan');
+        document.getElementById('btn-page-insert-image').onclick = () => this.insertPages(this.selectedPageIndex + 1, 'image');
     },
 
     // ═══════════════════════════════════════════════════════════════
@@ -139,6 +223,7 @@ const App = {
             
             console.log(`📷 Camera ready: ${this.overlay.width}x${this.overlay.height}`);
             UI.setStatus('Point at document');
+            UI.setCameraControls(CameraControls.attach(this.stream));
             
             // Reset detection state
             Stabilizer.reset();
@@ -202,6 +287,73 @@ const App = {
         this.overlay.height = this.video.videoHeight || CONFIG.CAMERA.HEIGHT;
     },
 
+    // ═══════════════════════════════════════════════════════════════
+    // CAMERA CONTROLS (torch, zoom, focus, exposure)
+    // ═══════════════════════════════════════════════════════════════
+
+    async toggleTorch() {
+        const on = !CameraControls.state.torch;
+        if (await CameraControls.setTorch(on)) {
+            UI.setTorch(on);
+        } else {
+            UI.showToast('Torch not available', 'warning');
+        }
+    },
+
+    /**
+     * Tap on the preview - focus / meter there
+     */
+    focusAt(e) {
+        const rect = this.video.getBoundingClientRect();
+        const vw = this.video.videoWidth;
+        const vh = this.video.videoHeight;
+        if (!vw || !vh) return;
+        
+        // Video is object-fit: cover - undo the crop
+        const scale = Math.max(rect.width / vw, rect.height / vh);
+        const offsetX = (rect.width - vw * scale) / 2;
+        const offsetY = (rect.height - vh * scale) / 2;
+        const x = (e.clientX - rect.left - offsetX) / (vw * scale);
+        const y = (e.clientY - rect.top - offsetY) / (vh * scale);
+        if (x < 0 || x > 1 || y < 0 || y > 1) return;
+        
+        CameraControls.focusAt(x, y).then(ok => {
+            if (ok) UI.showFocusRing(e.clientX - rect.left, e.clientY - rect.top);
+        });
+    },
+
+    /**
+     * Two-finger pinch on the preview changes zoom
+     */
+    bindPinchZoom() {
+        let pinch = null;
+        let pending = false;
+        const spread = (touches) => Math.hypot(
+            touches[0].clientX - touches[1].clientX,
+            touches[0].clientY - touches[1].clientY
+        );
+        
+        this.video.addEventListener('touchstart', (e) => {
+            if (e.touches.length === 2 && CameraControls.describe().zoom) {
+                pinch = { distance: spread(e.touches), zoom: CameraControls.state.zoom };
+            }
+        }, { passive: true });
+        
+        this.video.addEventListener('touchmove', async (e) => {
+            if (!pinch || e.touches.length !== 2 || pending) return;
+            
+            // One constraint change at a time - the camera lags behind fingers
+            pending = true;
+            await CameraControls.setZoom(pinch.zoom * spread(e.touches) / pinch.distance);
+            UI.setZoomValue(CameraControls.state.zoom);
+            pending = false;
+        }, { passive: true });
+        
+        this.video.addEventListener('touchend', (e) => {
+            if (e.touches.length < 2) pinch = null;
+        });
+    },
+
     stopCamera() {
         if (typeof CameraModule !== 'undefined') {
             CameraModule.stopPreview();
@@ -211,12 +363,15 @@ const App = {
         
         this.stream = null;
         this.video.srcObject = null;
+        CameraControls.detach();
+        UI.setCameraControls(null);
         
         // Reset all detection state
         Stabilizer.reset();
         if (typeof RectangleMath !== 'undefined') {
             RectangleMath.reset();
         }
+        CaptureGuidance.reset();
         
         UI.showScreen('welcome');
     },
@@ -225,25 +380,48 @@ const App = {
         const detect = async () => {
             if (!this.stream && !(typeof CameraModule !== 'undefined' && CameraModule.stream)) return;
             
+            let delay = 0;
             if (!this.detecting) {
                 this.detecting = true;
-                await this.processFrame();
+                const started = performance.now();
+                const processed = await this.processFrame();
+                // Skipped frames (worker busy) say nothing about detection speed
+                if (processed !== false) delay = DetectionClient.nextDelay(performance.now() - started);
                 this.detecting = false;
             }
             
-            requestAnimationFrame(detect);
+            // Adaptive pacing - slow detection leaves the UI room between frames
+            if (delay > 0) {
+                setTimeout(() => requestAnimationFrame(detect), delay);
+            } else {
+                requestAnimationFrame(detect);
+            }
         };
         
         detect();
     },
 
+    /**
+     * @returns {Promise<boolean|undefined>} false = frame skipped (worker busy)
+     */
     async processFrame() {
         if (!this.video || this.video.videoWidth === 0) return;
         
-        const { imageData, width, height } = ImageProcessor.getScaledImageData(this.video);
+        // Step 1: Detect document (OpenCV + Heatmap) - in the worker when available
+        const frame = await this.detectFrame();
+        if (!frame) return false;
+        const { imageData, width, height } = frame;
+        this.lastFrame = { imageData, width, height };
+        
+        // Several documents - every quad, no single-page lock / auto-capture
+        if (this.scanMode === 'multi') {
+            this.processMultiFrame(frame.quads, width, height);
+            return;
+        }
         
-        // Step 1: Detect document (OpenCV + Heatmap) - probability detection
-        let corners = await this.detectDocument(imageData, width, height);
+        let corners = frame.corners;
+        const cornerConfidences = corners ? corners._cornerConfidences : null;
+        const tracked = Boolean(corners && corners._tracked);
         
         // Step 2: Scale corners to full video resolution
         if (corners) {
@@ -265,7 +443,7 @@ const App = {
                 corners, 
                 this.video.videoWidth, 
                 this.video.videoHeight,
-                'preview'
+                { mode: 'preview', cornerConfidences, tracked }
             );
             
             const rmStatus = RectangleMath.getStatus();
@@ -283,80 +461,146 @@ const App = {
             status = state.status;
         }
         
-        // Step 4: Draw overlay
+        // Step 4: Re-arm auto-capture once the captured page is gone
+        if (!isLocked) {
+            this.autoCapture.blocked = null;
+        }
+        if (!this.autoCapture.armed && UI.currentScreen === 'camera') {
+            this.checkAutoCaptureRearm(finalCorners);
+        }
+        
+        // Step 5: What the user should change (distance, angle, light, background)
+        const guidance = CaptureGuidance.update({
+            corners: finalCorners,
+            videoWidth: this.video.videoWidth,
+            videoHeight: this.video.videoHeight,
+            frame: this.lastFrame,
+            rejectReason: corners && !finalCorners && typeof RectangleMath !== 'undefined'
+                ? RectangleMath.getStatus().lastRejectReason
+                : null
+        });
+        
+        // Step 6: Draw overlay
         this.drawOverlay({
             corners: finalCorners,
             locked: isLocked,
             status: status,
-            stableCount: RectangleMath ? RectangleMath.state.stableFrameCount : 0
+            guidance,
+            stableCount: RectangleMath ? RectangleMath.state.stableFrameCount : 0,
+            autoCaptureProgress: typeof RectangleMath !== 'undefined' ? RectangleMath.getAutoCaptureProgress() : null
         });
     },
 
-    async detectDocument(imageData, w, h) {
-        let opencvResult = OpenCVDetector.detect(imageData, w, h);
-        
-        let heatmapResult = null;
-        if (HeatmapDetector.isReady()) {
-            heatmapResult = await HeatmapDetector.detect(imageData, w, h);
-            if (heatmapResult) {
-                heatmapResult = Geometry.validate(heatmapResult, w, h);
-            }
+    processMultiFrame(detected, width, height) {
+        const quads = detected
+            .map(quad => Geometry.scaleCorners(quad, width, height, this.video.videoWidth, this.video.videoHeight));
+        
+        if (quads.length > 0) {
+            this.multiQuads = this.sortReadingOrder(quads);
+            this.multiMissed = 0;
+        } else if (++this.multiMissed > CONFIG.MULTI_DOC.HOLD_FRAMES) {
+            this.multiQuads = [];
         }
         
-        return this.arbitrateDetection(opencvResult, heatmapResult);
+        this.drawOverlay({
+            quads: this.multiQuads,
+            status: this.multiQuads.length > 0 ? 'multi' : 'searching'
+        });
     },
 
-    arbitrateDetection(opencvResult, heatmapResult) {
-        const heatmapTrusted = heatmapResult && 
-            heatmapResult._confidence >= CONFIG.HEATMAP.CONFIDENCE_TRUSTED;
-        
-        let inAgreement = false;
-        if (heatmapTrusted && opencvResult) {
-            const distance = Geometry.cornerDistance(heatmapResult, opencvResult);
-            inAgreement = distance < CONFIG.CORNER.AGREEMENT_DISTANCE;
+    /**
+     * Rows top to bottom, left to right within a row
+     * Quads are grouped into rows first (a quad joins the current row when its
+     * centre is within half a document height of the row's first one), then
+     * each row is sorted by x - a consistent order for any number of quads
+     */
+    sortReadingOrder(quads) {
+        const heights = quads.map(q => (q.bl.y + q.br.y - q.tl.y - q.tr.y) / 2);
+        const rowTolerance = heights.reduce((sum, h) => sum + h, 0) / heights.length / 2;
+        
+        const byTop = quads
+            .map(quad => ({ quad, center: Geometry.center(quad) }))
+            .sort((a, b) => a.center.y - b.center.y);
+        
+        const rows = [];
+        for (const item of byTop) {
+            const row = rows[rows.length - 1];
+            if (row && item.center.y - row.y < rowTolerance) {
+                row.items.push(item);
+            } else {
+                rows.push({ y: item.center.y, items: [item] });
+            }
         }
         
-        if (opencvResult && heatmapTrusted && inAgreement) {
-            return opencvResult;
-        } else if (opencvResult) {
-            return opencvResult;
-        } else if (heatmapTrusted && heatmapResult._confidence >= CONFIG.HEATMAP.CONFIDENCE_RESCUE) {
-            return heatmapResult;
+        return rows.flatMap(row => row.items
+            .sort((a, b) => a.center.x - b.center.x)
+            .map(item => item.quad));
+    },
+
+    /**
+     * Scaled preview frame with its detection
+     * @returns {Promise<Object|null>} { imageData, width, height, corners, quads },
+     *          null = no result this frame (worker still busy)
+     */
+    async detectFrame() {
+        const mode = this.scanMode === 'multi' ? 'multi' : 'single';
+        
+        // A slow worker frame is skipped, not repeated here - the main thread
+        // only takes over once the worker has failed (DetectionClient.fail)
+        if (DetectionClient.isReady()) {
+            const scale = CONFIG.CAMERA.PROCESS_SCALE || 0.5;
+            return DetectionClient.detect(
+                this.video,
+                Math.round(this.video.videoWidth * scale),
+                Math.round(this.video.videoHeight * scale),
+                mode
+            );
         }
         
-        return null;
+        // Main-thread fallback
+        const { imageData, width, height } = ImageProcessor.getScaledImageData(this.video);
+        return mode === 'multi'
+            ? { imageData, width, height, corners: null, quads: Detector.detectAll(imageData, width, height) }
+            : { imageData, width, height, corners: await Detector.detect(imageData, width, height), quads: null };
     },
 
     drawOverlay(state) {
         const ctx = this.overlayCtx;
         ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
         
-        if (state.status === 'locked') {
+        if (state.status === 'locked' && this.autoCapture.blocked) {
+            UI.setStatus(this.autoCapture.blocked, 'warning');
+        } else if (state.status === 'locked' && state.autoCaptureProgress !== null) {
+            UI.setStatus('✓ LOCKED - Capturing...', 'locked');
+        } else if (state.guidance) {
+            UI.setStatus(state.guidance.message, state.guidance.type);
+        } else if (state.status === 'locked') {
             UI.setStatus('✓ LOCKED - Hold steady', 'locked');
+        } else if (state.status === 'multi') {
+            const count = state.quads.length;
+            UI.setStatus(`${count} document${count === 1 ? '' : 's'} - tap 📷 to capture`, 'locked');
         } else if (state.status === 'no_document') {
             UI.setStatus('No document - tap 📷 for manual', 'warning');
         } else if (state.status === 'detecting') {
             UI.setStatus(`Stabilizing... ${state.stableCount || 0}/${CONFIG.STABILITY.LOCK_THRESHOLD}`);
+        } else if (this.scanMode === 'idcard') {
+            UI.setStatus(`Place the ${this.idCardSide.toUpperCase()} of the card in view`);
         } else {
             UI.setStatus('Searching for document...');
         }
         
+        // Multi-document: every quad, numbered in page order
+        if (state.quads) {
+            state.quads.forEach((quad, i) => {
+                this.drawQuad(quad, true);
+                this.drawQuadLabel(quad, i + 1);
+            });
+        }
+        
         if (state.corners) {
             const c = state.corners;
             
-            ctx.beginPath();
-            ctx.moveTo(c.tl.x, c.tl.y);
-            ctx.lineTo(c.tr.x, c.tr.y);
-            ctx.lineTo(c.br.x, c.br.y);
-            ctx.lineTo(c.bl.x, c.bl.y);
-            ctx.closePath();
-            
-            ctx.fillStyle = state.locked ? CONFIG.COLORS.OVERLAY_LOCKED : CONFIG.COLORS.OVERLAY_DETECTING;
-            ctx.fill();
-            
-            ctx.strokeStyle = state.locked ? CONFIG.COLORS.SUCCESS : CONFIG.COLORS.PRIMARY;
-            ctx.lineWidth = 3;
-            ctx.stroke();
+            this.drawQuad(c, state.locked);
             
             for (const key of ['tl', 'tr', 'br', 'bl']) {
                 ctx.beginPath();
@@ -367,14 +611,105 @@ const App = {
                 ctx.lineWidth = 3;
                 ctx.stroke();
             }
+            
+            if (state.locked && state.autoCaptureProgress !== null) {
+                this.drawCountdownRing(Geometry.center(c), state.autoCaptureProgress);
+            }
         }
     },
 
+    drawQuad(c, locked) {
+        const ctx = this.overlayCtx;
+        
+        ctx.beginPath();
+        ctx.moveTo(c.tl.x, c.tl.y);
+        ctx.lineTo(c.tr.x, c.tr.y);
+        ctx.lineTo(c.br.x, c.br.y);
+        ctx.lineTo(c.bl.x, c.bl.y);
+        ctx.closePath();
+        
+        ctx.fillStyle = locked ? CONFIG.COLORS.OVERLAY_LOCKED : CONFIG.COLORS.OVERLAY_DETECTING;
+        ctx.fill();
+        
+        ctx.strokeStyle = locked ? CONFIG.COLORS.SUCCESS : CONFIG.COLORS.PRIMARY;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    },
+
+    drawQuadLabel(c, number) {
+        const ctx = this.overlayCtx;
+        const center = Geometry.center(c);
+        const radius = Math.min(this.overlay.width, this.overlay.height) * 0.035;
+        
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = CONFIG.COLORS.SUCCESS;
+        ctx.fill();
+        
+        ctx.fillStyle = '#fff';
+        ctx.font = `bold ${Math.round(radius * 1.2)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(number), center.x, center.y);
+    },
+
+    /**
+     * Auto-capture countdown ring at the document center
+     */
+    drawCountdownRing(center, progress) {
+        const ctx = this.overlayCtx;
+        const radius = Math.min(this.overlay.width, this.overlay.height) * 0.06;
+        const start = -Math.PI / 2;
+        
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = radius * 0.2;
+        ctx.stroke();
+        
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, start, start + progress * Math.PI * 2);
+        ctx.strokeStyle = CONFIG.COLORS.SUCCESS;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+        ctx.lineCap = 'butt';
+    },
+
     // ═══════════════════════════════════════════════════════════════
     // CAPTURE (Updated for HD Capture)
     // ═══════════════════════════════════════════════════════════════
 
     async handleCapture() {
+        if (this.capturing) return;
+        this.capturing = true;
+        
+        // Don't let auto-capture fire again on the page being captured
+        this.disarmAutoCapture();
+        
+        try {
+            const captured = await this.captureCurrentFrame();
+            
+            // Cancelled / held / retake - the page is still waiting
+            if (captured === false) this.rearmAutoCapture();
+        } catch (err) {
+            console.error('Capture failed:', err);
+            UI.hideLoading();
+            UI.alert('Capture failed: ' + err.message);
+            this.rearmAutoCapture();
+        } finally {
+            this.capturing = false;
+        }
+    },
+
+    async captureCurrentFrame() {
+        if (this.scanMode === 'multi') {
+            return this.multiQuads.length > 0
+                ? this.captureWithCorners(this.multiQuads)
+                : this.captureForManualCrop();
+        }
+        
         // Get corners for perspective correction
         let corners = null;
         
@@ -387,17 +722,23 @@ const App = {
         }
         
         if (corners) {
+            if (!this.checkPreviewQuality(corners)) return false;
+            
             console.log('📸 Capturing with corners', corners);
-            await this.captureWithCorners(corners);
+            return this.captureWithCorners(corners);
         } else {
             console.log('📸 No corners - manual crop');
-            await this.captureForManualCrop();
+            return this.captureForManualCrop();
         }
     },
 
+    /**
+     * @param {Object|Object[]} corners - Quad in video coordinates, or several (multi-document)
+     */
     async captureWithCorners(corners) {
         UI.showLoading('Capturing HD image...');
         
+        let quads = Array.isArray(corners) ? corners : [corners];
         let frame;
         
         // Try HD capture on native platform
@@ -409,21 +750,9 @@ const App = {
                 // Got HD image from native camera
                 frame = result.canvas;
                 console.log(`📸 Native HD: ${frame.width}x${frame.height}`);
-                
-                // Need to re-detect corners on HD image since dimensions changed
-                // For now, scale corners to new resolution
-                const scaleX = frame.width / this.video.videoWidth;
-                const scaleY = frame.height / this.video.videoHeight;
-                
-                corners = {
-                    tl: { x: corners.tl.x * scaleX, y: corners.tl.y * scaleY },
-                    tr: { x: corners.tr.x * scaleX, y: corners.tr.y * scaleY },
-                    br: { x: corners.br.x * scaleX, y: corners.br.y * scaleY },
-                    bl: { x: corners.bl.x * scaleX, y: corners.bl.y * scaleY }
-                };
             } else if (result.cancelled) {
                 UI.hideLoading();
-                return; // User cancelled
+                return false; // User cancelled
             } else {
                 // Fallback to video capture
                 frame = result.canvas || ImageProcessor.captureFrame(this.video);
@@ -433,21 +762,16 @@ const App = {
             frame = ImageProcessor.captureFrame(this.video);
         }
         
+        // Preview corners → re-detected and refined on the full-resolution frame
+        quads = CaptureRefiner.refine(frame, quads, this.video.videoWidth, this.video.videoHeight);
+        
         UI.hideLoading();
         
-        let processed;
-        try {
-            // Step 1: Perspective correction
-            processed = ImageProcessor.perspectiveCorrect(frame, corners);
-            
-            // Step 2: Clean edges (crop + white border)
-            if (typeof ImageProcessor.cleanEdges === 'function') {
-                processed = ImageProcessor.cleanEdges(processed);
-                console.log('✂️ Edge cleanup applied');
-            }
-        } catch (err) {
-            console.error('Perspective correction failed:', err);
-            processed = frame;
+        // One page per quad (a spread gives two)
+        const pages = [];
+        for (const quad of quads) {
+            const corrected = await this.finishCorrection(ImageProcessor.correctDocument(frame, quad));
+            corrected.forEach(capture => pages.push({ capture, source: { frame, corners: quad } }));
         }
         
         UI.flash();
@@ -458,8 +782,167 @@ const App = {
             RectangleMath.unlock();
         }
         
-        this.currentCapture = processed;
-        this.showFilterScreen();
+        if (!await this.acceptCapture(pages.map(page => page.capture))) return false;
+        
+        const [first, ...more] = pages;
+        this.currentCapture = first.capture;
+        this.captureSource = first.source;
+        this.captureQueue = more;
+        
+        if (this.autoCapture.mode === 'batch') {
+            this.saveBatchPage();
+        } else {
+            this.showFilterScreen();
+        }
+    },
+
+    /**
+     * Manual capture gate on the preview (auto-capture checks in handleAutoCapture)
+     * A second tap within OVERRIDE_MS captures anyway
+     * @returns {boolean} true = capture
+     */
+    checkPreviewQuality(corners) {
+        if (!this.lastFrame || Date.now() < this.qualityOverrideUntil) return true;
+        
+        const { imageData, width, height } = this.lastFrame;
+        const roi = Geometry.scaleCorners(corners, this.video.videoWidth, this.video.videoHeight, width, height);
+        
+        // Any document size - the user chose to capture
+        const quality = ImageQuality.analyze(imageData, width, height, roi, {
+            ...CONFIG.AUTO_CAPTURE,
+            MIN_AREA_RATIO: 0
+        });
+        if (quality.ok) return true;
+        
+        console.log(`⏳ Capture held: ${quality.reason}`, quality);
+        this.qualityOverrideUntil = Date.now() + CONFIG.CAPTURE_QUALITY.OVERRIDE_MS;
+        UI.showToast(`${quality.message} - tap again to capture anyway`, 'warning');
+        return false;
+    },
+
+    /**
+     * Check the captured pages - blur / glare / bad exposure asks for a retake
+     * (batch mode drops the shot instead of asking)
+     * @param {HTMLCanvasElement[]} captures
+     * @returns {Promise<boolean>} true = keep
+     */
+    async acceptCapture(captures) {
+        if (!CONFIG.CAPTURE_QUALITY.ENABLED) return true;
+        
+        const failed = captures
+            .map(capture => ImageQuality.analyzePage(capture))
+            .find(quality => !quality.ok);
+        if (!failed) return true;
+        
+        console.log(`📉 Capture quality: ${failed.reason}`, failed);
+        const problem = {
+            blur: 'Page looks blurry',
+            glare: 'Page has glare',
+            dark: 'Page looks too dark',
+            bright: 'Page looks overexposed'
+        }[failed.reason] || 'Page quality is low';
+        
+        if (this.autoCapture.mode === 'batch') {
+            UI.showToast(`${problem} - not saved, capture again`, 'warning');
+            return false;
+        }
+        
+        const retake = await UI.confirm(`${problem}. Retake it?`, {
+            title: 'Check page',
+            confirm: 'Retake',
+            cancel: 'Keep'
+        });
+        return !retake;
+    },
+
+    /**
+     * After perspective correction (auto and manual crop): turn the page
+     * upright, straighten it, then the scan-mode step
+     * @param {HTMLCanvasElement} canvas - Corrected page
+     * @returns {Promise<HTMLCanvasElement[]>} Pages in reading order
+     */
+    async finishCorrection(canvas) {
+        const mode = (this.editing && this.editing.scanMode) || this.scanMode;
+        const angle = await this.detectOrientation(canvas);
+        let upright = ImageProcessor.rotate(canvas, angle);
+        
+        // Spread halves are straightened one by one after the split
+        if (mode !== 'spread') upright = this.straighten(upright);
+        
+        const pages = await this.applyScanMode(upright);
+        
+        pages.forEach(page => this.autoRotations.set(page, angle));
+        return pages;
+    },
+
+    /**
+     * Residual tilt (hand-placed crop corners, book pages) - when enabled
+     */
+    straighten(canvas) {
+        if (!Settings.get('autoDeskew')) return canvas;
+        
+        try {
+            return ImageProcessor.deskew(canvas);
+        } catch (err) {
+            console.warn('Deskew failed:', err);
+            return canvas;
+        }
+    },
+
+    /**
+     * Clockwise turn that makes the capture upright - a re-crop keeps the
+     * one found when the page was scanned
+     */
+    async detectOrientation(canvas) {
+        if (this.editing) {
+            return this.pages[this.editing.index].autoRotation || 0;
+        }
+        
+        try {
+            return await OrientationDetector.detect(canvas);
+        } catch (err) {
+            console.warn('Orientation detection failed:', err);
+            return 0;
+        }
+    },
+
+    /**
+     * Scan-mode step - book pages are dewarped, spreads split into two
+     * deskewed pages
+     * @returns {Promise<HTMLCanvasElement[]>} Pages in reading order
+     */
+    async applyScanMode(canvas) {
+        const mode = (this.editing && this.editing.scanMode) || this.scanMode;
+        
+        // Re-cropping a spread page: the user crops just that page
+        if (mode === 'spread' && this.editing) {
+            return [this.straighten(canvas)];
+        }
+        
+        if (mode === 'spread') {
+            UI.showLoading('Splitting pages...');
+            try {
+                const { left, right } = BookSpread.split(canvas, { deskew: Settings.get('autoDeskew') });
+                return Settings.get('spreadRTL') ? [right, left] : [left, right];
+            } catch (err) {
+                console.error('Spread split failed:', err);
+                return [canvas];
+            } finally {
+                UI.hideLoading();
+            }
+        }
+        
+        if (mode !== 'book') return [canvas];
+        
+        UI.showLoading('Flattening page...');
+        try {
+            return [await Dewarper.dewarp(canvas)];
+        } catch (err) {
+            console.error('Dewarp failed:', err);
+            return [canvas];
+        } finally {
+            UI.hideLoading();
+        }
     },
 
     async captureForManualCrop() {
@@ -474,7 +957,7 @@ const App = {
                 frame = result.canvas;
             } else if (result.cancelled) {
                 UI.hideLoading();
-                return;
+                return false;
             } else {
                 frame = ImageProcessor.captureFrame(this.video);
             }
@@ -487,30 +970,256 @@ const App = {
         this.showCropScreen(frame);
     },
 
+    // ═══════════════════════════════════════════════════════════════
+    // SCAN MODE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * @param {string} mode - 'document' | 'book' | 'spread' | 'multi' | 'idcard'
+     */
+    setScanMode(mode) {
+        this.scanMode = ['book', 'spread', 'multi', 'idcard'].includes(mode) ? mode : 'document';
+        this.multiQuads = [];
+        this.idCardSide = 'front';
+        Settings.set('scanMode', this.scanMode);
+        this.applyIdCardAspect();
+        this.updateScanModeUI();
+        
+        // Load the dewarp model in the background - first book page is faster
+        if (this.scanMode === 'book') Dewarper.init();
+    },
+
+    updateScanModeUI() {
+        const format = this.getIdCardFormat();
+        UI.setScanMode(this.scanMode, {
+            rtl: Settings.get('spreadRTL'),
+            idCard: `${format.label} · ${this.idCardSide === 'front' ? 'Front' : 'Back'}`
+        });
+    },
+
+    /**
+     * Page order of a spread: left → right, or right → left (Arabic, Hebrew, Urdu...)
+     */
+    toggleSpreadDirection() {
+        const rtl = !Settings.get('spreadRTL');
+        Settings.set('spreadRTL', rtl);
+        this.updateScanModeUI();
+        UI.showToast(rtl ? 'Spreads: right page first' : 'Spreads: left page first');
+    },
+
+    /**
+     * @returns {Object} { id, label, width, height } - card size in mm
+     */
+    getIdCardFormat() {
+        const formats = CONFIG.ID_CARD.FORMATS;
+        const id = formats[Settings.get('idCardFormat')] ? Settings.get('idCardFormat') : 'id1';
+        return { id, ...formats[id] };
+    },
+
+    /**
+     * ID-1 (bank / ID card) ↔ ID-3 (passport)
+     */
+    toggleIdCardFormat() {
+        Settings.set('idCardFormat', this.getIdCardFormat().id === 'id1' ? 'id3' : 'id1');
+        this.applyIdCardAspect();
+        this.updateScanModeUI();
+        
+        const format = this.getIdCardFormat();
+        UI.showToast(`${format.label}: ${format.width} × ${format.height} mm`);
+    },
+
+    /**
+     * Only accept quads with the card's aspect ratio while in ID card mode
+     */
+    applyIdCardAspect() {
+        const format = this.getIdCardFormat();
+        RectangleMath.CONFIG.TARGET_ASPECT = this.scanMode === 'idcard'
+            ? { ratio: format.width / format.height, tolerance: CONFIG.ID_CARD.ASPECT_TOLERANCE }
+            : null;
+    },
+
+    /**
+     * Front saved → ask for the back; back saved → next card
+     */
+    advanceIdCardSide() {
+        this.idCardSide = this.idCardSide === 'front' ? 'back' : 'front';
+        this.updateScanModeUI();
+        UI.showToast(this.idCardSide === 'back'
+            ? 'Front saved - turn the card over and capture the back'
+            : 'Card saved - front and back share one page', 'success');
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // AUTO-CAPTURE (RectangleMath lock → countdown → quality gate)
+    // ═══════════════════════════════════════════════════════════════
+
+    cycleAutoCaptureMode() {
+        const modes = ['off', 'auto', 'batch'];
+        const next = modes[(modes.indexOf(this.autoCapture.mode) + 1) % modes.length];
+        
+        this.setAutoCaptureMode(next);
+        UI.showToast({
+            off: 'Auto-capture off',
+            auto: 'Auto-capture on',
+            batch: 'Batch mode - pages save automatically'
+        }[next]);
+    },
+
+    toggleVoiceGuidance() {
+        const enabled = !Settings.get('voiceGuidance');
+        Settings.set('voiceGuidance', enabled);
+        UI.setVoiceGuidance(enabled);
+        UI.showToast(enabled ? 'Voice guidance on' : 'Voice guidance off');
+        if (enabled) CaptureGuidance.say('Voice guidance on');
+    },
+
+    toggleDeskew() {
+        const enabled = !Settings.get('autoDeskew');
+        Settings.set('autoDeskew', enabled);
+        UI.setDeskew(enabled);
+        UI.showToast(enabled ? 'Deskew on - tilted pages are straightened' : 'Deskew off');
+    },
+
+    /**
+     * @param {string} mode - 'off' | 'auto' (capture → filter screen) | 'batch' (capture → save → keep scanning)
+     */
+    setAutoCaptureMode(mode) {
+        this.autoCapture.mode = ['auto', 'batch'].includes(mode) ? mode : 'off';
+        this.autoCapture.armed = true;
+        this.autoCapture.blocked = null;
+        
+        Settings.set('autoCaptureMode', this.autoCapture.mode);
+        UI.setAutoCaptureMode(this.autoCapture.mode);
+        this.updateAutoCaptureArming();
+    },
+
+    updateAutoCaptureArming() {
+        if (typeof RectangleMath === 'undefined') return;
+        RectangleMath.setAutoCapture(this.autoCapture.mode !== 'off' && this.autoCapture.armed);
+    },
+
+    /**
+     * Called by RectangleMath when the countdown ends
+     * @returns {boolean} true if a capture was started
+     */
+    handleAutoCapture() {
+        if (UI.currentScreen !== 'camera' || this.capturing || !this.lastFrame) return false;
+        
+        const corners = RectangleMath.getLockedCorners();
+        if (!corners) return false;
+        
+        const { imageData, width, height } = this.lastFrame;
+        const roi = Geometry.scaleCorners(corners, this.video.videoWidth, this.video.videoHeight, width, height);
+        const quality = ImageQuality.analyze(imageData, width, height, roi);
+        
+        if (!quality.ok) {
+            console.log(`⏳ Auto-capture held: ${quality.reason}`, quality);
+            this.autoCapture.blocked = quality.message;
+            return false;
+        }
+        
+        this.handleCapture();
+        return true;
+    },
+
+    /**
+     * Remember the page in view and stop auto-capture until it changes
+     */
+    disarmAutoCapture() {
+        const ac = this.autoCapture;
+        ac.armed = false;
+        ac.blocked = null;
+        ac.missedFrames = 0;
+        ac.signature = null;
+        
+        const corners = typeof RectangleMath !== 'undefined' ? RectangleMath.getCurrentCorners() : null;
+        if (corners && this.lastFrame) {
+            const { imageData, width, height } = this.lastFrame;
+            const roi = Geometry.scaleCorners(corners, this.video.videoWidth, this.video.videoHeight, width, height);
+            ac.signature = ImageQuality.signature(imageData, width, height, roi);
+        }
+        
+        this.updateAutoCaptureArming();
+    },
+
+    /**
+     * Re-arm when the document leaves the frame or its content changes (page turned)
+     */
+    checkAutoCaptureRearm(corners) {
+        const ac = this.autoCapture;
+        if (this.capturing) return;
+        
+        let rearm = false;
+        
+        if (!corners) {
+            ac.missedFrames++;
+            rearm = ac.missedFrames >= CONFIG.AUTO_CAPTURE.REARM_MISSED_FRAMES;
+        } else {
+            ac.missedFrames = 0;
+            
+            const { imageData, width, height } = this.lastFrame;
+            const roi = Geometry.scaleCorners(corners, this.video.videoWidth, this.video.videoHeight, width, height);
+            const signature = ImageQuality.signature(imageData, width, height, roi);
+            rearm = ImageQuality.difference(signature, ac.signature) > CONFIG.AUTO_CAPTURE.REARM_DIFFERENCE;
+        }
+        
+        if (rearm) {
+            console.log('🔁 Auto-capture re-armed');
+            this.rearmAutoCapture();
+        }
+    },
+
+    rearmAutoCapture() {
+        this.autoCapture.armed = true;
+        this.autoCapture.signature = null;
+        this.updateAutoCaptureArming();
+    },
+
+    /**
+     * Batch mode: save with the default filter and return to detection
+     */
+    saveBatchPage() {
+        FilterManager.init(this.currentCapture);
+        FilterManager.apply();
+        this.saveFilteredPage();
+        
+        UI.showToast(`Page ${this.pages.length} saved`, 'success', 1200);
+    },
+
     // ═══════════════════════════════════════════════════════════════
     // CROP
     // ═══════════════════════════════════════════════════════════════
 
-    showCropScreen(image) {
+    /**
+     * Show manual crop
+     * @param {HTMLCanvasElement} image - Full resolution source
+     * @param {Object} options - { corners, onComplete } for re-crop of a saved page
+     */
+    showCropScreen(image, options = {}) {
         UI.showScreen('crop');
         
         setTimeout(() => {
             CropManager.init(
                 image,
-                (result) => {
-                    this.currentCapture = result;
-                    this.showFilterScreen();
+                async (result, info) => {
+                    const [capture, ...more] = await this.finishCorrection(result);
+                    this.currentCapture = capture;
+                    this.captureSource = { frame: info.source, corners: info.corners };
+                    this.captureQueue = more.map(next => ({ capture: next, source: this.captureSource }));
+                    if (options.onComplete) {
+                        options.onComplete();
+                    } else {
+                        this.showFilterScreen();
+                    }
                 },
-                () => {
-                    UI.showScreen('camera');
-                }
+                () => this.finishEditing(),
+                options.corners || null
             );
         }, 100);
     },
 
     cancelCrop() {
         CropManager.cancel();
-        UI.showScreen('camera');
     },
 
     applyCrop() {
@@ -547,13 +1256,23 @@ const App = {
     // FILTER
     // ═══════════════════════════════════════════════════════════════
 
-    showFilterScreen() {
+    /**
+     * Show filter screen for currentCapture
+     * @param {Object} preset - { filter, adjustments } saved with a page (re-edit)
+     */
+    showFilterScreen(preset = null) {
         UI.showScreen('filter');
-        UI.setActiveFilter('auto');
-        UI.resetAdjustments();
-        
         FilterManager.init(this.currentCapture);
-        FilterManager.runScanAnimation();
+        
+        if (preset && preset.filter) {
+            UI.setActiveFilter(preset.filter);
+            UI.setAdjustments(preset.adjustments || {});
+            FilterManager.restore(preset.filter, preset.adjustments);
+        } else {
+            UI.setActiveFilter('auto');
+            UI.resetAdjustments();
+            FilterManager.runScanAnimation();
+        }
     },
 
     selectFilter(filter) {
@@ -569,22 +1288,109 @@ const App = {
     cancelFilter() {
         FilterManager.cleanup();
         this.currentCapture = null;
-        UI.showScreen('camera');
+        this.captureSource = null;
+        this.captureQueue = [];
+        
+        // Retake - let auto-capture fire on the same page again
+        if (!this.editing) this.rearmAutoCapture();
+        
+        this.finishEditing();
     },
 
     saveFilteredPage() {
-        const dims = FilterManager.getDimensions();
+        const state = FilterManager.getState();
+        
+        // Re-edited pages keep their user rotation (original/source stay unrotated)
+        const edited = this.editing ? this.pages[this.editing.index] : null;
+        const rotation = edited ? edited.rotation || 0 : 0;
+        const output = ImageProcessor.rotate(FilterManager.canvas, rotation);
+        
+        const page = {
+            dataUrl: this.encodePageImage(output, state.filter),
+            width: output.width,
+            height: output.height,
+            rotation,
+            autoRotation: edited ? edited.autoRotation || 0 : this.autoRotations.get(this.currentCapture) || 0,
+            scanMode: edited ? edited.scanMode : this.scanMode,
+            idCard: edited ? edited.idCard || null : this.newIdCardSide(),
+            corners: this.captureSource ? this.captureSource.corners : null,
+            filter: state.filter,
+            adjustments: { ...FilterManager.adjustments },
+            ocr: null               // New image - recognize again
+        };
         
-        this.pages.push({
-            dataUrl: FilterManager.getDataURL(),
-            width: dims.width,
-            height: dims.height
-        });
+        // Only store images that changed (re-filter keeps source + original)
+        const quality = CONFIG.OUTPUT.JPEG_QUALITY;
+        const images = { processed: page.dataUrl };
+        if (!this.editing || this.editing.recropped) {
+            images.original = this.currentCapture.toDataURL('image/jpeg', quality);
+        }
+        if (this.captureSource && this.captureSource.frame) {
+            images.source = this.captureSource.frame.toDataURL('image/jpeg', quality);
+        }
+        if (rotation !== 0) {
+            images.unrotated = this.encodePageImage(FilterManager.canvas, state.filter);
+        }
+        
+        if (this.editing) {
+            // Update in place - keeps the page id pending saves refer to
+            const existing = this.pages[this.editing.index];
+            Object.assign(existing, page);
+            this.updateStoredPage(existing, images);
+        } else {
+            this.addPage(page, images);
+            if (page.idCard) this.advanceIdCardSide();
+        }
         
         UI.setPageCount(this.pages.length);
         FilterManager.cleanup();
+        
+        // Next page of the same shot (spread half / another document)
+        if (this.captureQueue.length > 0) {
+            const next = this.captureQueue.shift();
+            this.currentCapture = next.capture;
+            this.captureSource = next.source;
+            if (this.autoCapture.mode === 'batch') {
+                this.saveBatchPage();
+            } else {
+                this.showFilterScreen();
+            }
+            return;
+        }
+        
         this.currentCapture = null;
-        UI.showScreen('camera');
+        this.captureSource = null;
+        this.finishEditing();
+    },
+
+    /**
+     * ID card side of a new page (null outside ID card mode)
+     */
+    newIdCardSide() {
+        if (this.scanMode !== 'idcard') return null;
+        return { format: this.getIdCardFormat().id, side: this.idCardSide };
+    },
+
+    /**
+     * Processed page image - lossless PNG for bi-tonal filters (JPEG would
+     * smear the black/white edges), JPEG otherwise
+     */
+    encodePageImage(canvas, filter) {
+        return FilterManager.isBitonal(filter)
+            ? canvas.toDataURL('image/png')
+            : canvas.toDataURL('image/jpeg', CONFIG.OUTPUT.JPEG_QUALITY);
+    },
+
+    /**
+     * Leave crop/filter - back to results when re-editing, else camera
+     */
+    finishEditing() {
+        if (this.editing) {
+            this.editing = null;
+            this.showResults();
+        } else {
+            UI.showScreen('camera');
+        }
     },
 
     // ═══════════════════════════════════════════════════════════════
@@ -597,18 +1403,137 @@ const App = {
             return;
         }
         
+        this.insertAt = null;
         UI.showScreen('result');
-        UI.renderPages(this.pages, (index) => this.deletePage(index));
+        UI.updateResultPages(this.pages);
+    },
+
+    /**
+     * Leave result screen - back to camera if scanning, else library
+     */
+    closeResults() {
+        if (this.stream) {
+            UI.showScreen('camera');
+        } else {
+            this.showLibrary();
+        }
+    },
+
+    /**
+     * Add more scans to the current document
+     */
+    resumeScanning() {
+        if (this.stream) {
+            UI.showScreen('camera');
+        } else {
+            this.startCamera();
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // PAGE RE-EDIT (non-destructive)
+    // ═══════════════════════════════════════════════════════════════
+
+    openPageActions(index) {
+        this.selectedPageIndex = index;
+        UI.showPageActions(index, this.pages[index]);
+    },
+
+    /**
+     * Reopen the capture a page was cropped from, corners pre-loaded
+     */
+    async recropPage(index) {
+        UI.hidePageActions();
+        const page = this.pages[index];
+        if (!page) return;
+        
+        UI.showLoading('Loading page...');
+        
+        try {
+            const record = await this.getPageRecord(page);
+            const sourceUrl = record && (record.source || record.original || record.processed);
+            const source = await ImageProcessor.loadDataUrl(sourceUrl ? await DocumentStore.getImage(sourceUrl) : page.dataUrl);
+            
+            // Pages without a stored capture start from their full image
+            const corners = (record && record.source && record.corners) || {
+                tl: { x: 0, y: 0 },
+                tr: { x: source.width, y: 0 },
+                br: { x: source.width, y: source.height },
+                bl: { x: 0, y: source.height }
+            };
+            
+            UI.hideLoading();
+            this.editing = { index, recropped: true, scanMode: page.scanMode };
+            this.showCropScreen(source, {
+                corners,
+                onComplete: () => {
+                    // Source already stored - only keep it if it is new
+                    if (record && record.source) this.captureSource.frame = null;
+                    this.showFilterScreen(page);
+                }
+            });
+        } catch (err) {
+            UI.hideLoading();
+            console.error('Re-crop failed:', err);
+            UI.alert('Could not load page: ' + err.message);
+        }
+    },
+
+    /**
+     * Reopen the unfiltered page with its filter + adjustments pre-loaded
+     */
+    async refilterPage(index) {
+        UI.hidePageActions();
+        const page = this.pages[index];
+        if (!page) return;
+        
+        UI.showLoading('Loading page...');
+        
+        try {
+            const record = await this.getPageRecord(page);
+            const originalUrl = record && (record.original || record.processed);
+            const dataUrl = originalUrl ? await DocumentStore.getImage(originalUrl) : page.dataUrl;
+            
+            this.currentCapture = await ImageProcessor.loadDataUrl(dataUrl);
+            this.captureSource = { frame: null, corners: page.corners };
+            this.editing = { index, recropped: false };
+            
+            UI.hideLoading();
+            this.showFilterScreen(page);
+        } catch (err) {
+            UI.hideLoading();
+            console.error('Re-filter failed:', err);
+            UI.alert('Could not load page: ' + err.message);
+        }
+    },
+
+    /**
+     * Stored record for an App.pages entry (after pending saves)
+     */
+    async getPageRecord(page) {
+        await this.saveQueue;
+        const doc = this.currentDocument;
+        return doc ? doc.pages.find(record => record.id === page.id) || null : null;
     },
 
     deletePage(index) {
-        this.pages.splice(index, 1);
+        const [removed] = this.pages.splice(index, 1);
+        const doc = this.currentDocument;
         UI.setPageCount(this.pages.length);
         
+        this.persist(async () => {
+            const record = doc && doc.pages.find(p => p.id === removed.id);
+            if (!record) return;
+            
+            await DocumentStore.removePageImages(record);
+            doc.pages = doc.pages.filter(p => p !== record);
+            await this.saveDocumentOrder(doc);
+        });
+        
         if (this.pages.length === 0) {
-            UI.showScreen('camera');
+            this.resumeScanning();
         } else {
-            UI.renderPages(this.pages, (i) => this.deletePage(i));
+            UI.updateResultPages(this.pages);
         }
     },
 
@@ -621,63 +1546,580 @@ const App = {
         for (const file of files) {
             try {
                 const canvas = await ImageProcessor.loadImage(file);
-                this.pages.push({
+                const page = {
                     dataUrl: canvas.toDataURL('image/jpeg', CONFIG.OUTPUT.JPEG_QUALITY),
                     width: canvas.width,
                     height: canvas.height
-                });
+                };
+                this.addPage(page, { processed: page.dataUrl });
             } catch (err) {
                 console.error('Failed to load image:', err);
             }
         }
         
         UI.hideLoading();
+        this.insertAt = null;
         UI.setPageCount(this.pages.length);
-        UI.renderPages(this.pages, (i) => this.deletePage(i));
+        UI.updateResultPages(this.pages);
         
         e.target.value = '';
     },
 
+    /**
+     * Add a new page at insertAt (or the end) and store it
+     */
+    addPage(page, images) {
+        if (this.insertAt !== null && this.insertAt <= this.pages.length) {
+            this.pages.splice(this.insertAt++, 0, page);
+        } else {
+            this.pages.push(page);
+        }
+        this.storePage(page, images);
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // PAGE OPERATIONS (reorder, rotate, duplicate, insert)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Move a page (drag-to-reorder on the result screen)
+     */
+    movePage(from, to) {
+        if (from === to || !this.pages[from] || to < 0 || to >= this.pages.length) return;
+        
+        const [page] = this.pages.splice(from, 1);
+        this.pages.splice(to, 0, page);
+        
+        UI.updateResultPages(this.pages);
+        const doc = this.currentDocument;
+        this.persist(() => this.saveDocumentOrder(doc));
+    },
+
+    /**
+     * Back to the orientation the page was captured in (auto-rotation was wrong)
+     */
+    undoAutoRotation(index) {
+        const page = this.pages[index];
+        if (!page) return;
+        
+        // Original is stored auto-rotated - the user rotation cancels it
+        const turned = ((page.rotation || 0) + (page.autoRotation || 0)) % 360;
+        this.rotatePage(index, (360 - turned) % 360);
+    },
+
+    /**
+     * Rotate a page clockwise by 90/180/270°
+     * Always rotated from the unrotated image - turning back to 0° restores
+     * it exactly instead of adding another JPEG generation
+     */
+    async rotatePage(index, degrees) {
+        UI.hidePageActions();
+        const page = this.pages[index];
+        if (!page) return;
+        
+        UI.showLoading('Rotating...');
+        
+        try {
+            const rotation = ((page.rotation || 0) + degrees) % 360;
+            const images = {};
+            
+            let unrotated = null;
+            if (!page.rotation) {
+                unrotated = page.dataUrl;
+                images.unrotated = unrotated;
+            } else {
+                const record = await this.getPageRecord(page);
+                unrotated = record && record.unrotated ? await DocumentStore.getImage(record.unrotated) : null;
+            }
+            
+            // Pages stored before 'unrotated' existed turn from the current image
+            const image = await ImageProcessor.loadDataUrl(unrotated || page.dataUrl);
+            
+            if (rotation === 0 && unrotated) {
+                page.dataUrl = unrotated;
+                page.width = image.width;
+                page.height = image.height;
+            } else {
+                const rotated = ImageProcessor.rotate(image, unrotated ? rotation : degrees);
+                page.dataUrl = this.encodePageImage(rotated, page.filter);
+                page.width = rotated.width;
+                page.height = rotated.height;
+            }
+            page.rotation = rotation;
+            page.ocr = null;
+            
+            images.processed = page.dataUrl;
+            this.updateStoredPage(page, images);
+            UI.updateResultPages(this.pages);
+        } catch (err) {
+            console.error('Rotate failed:', err);
+            UI.alert('Could not rotate page: ' + err.message);
+        } finally {
+            UI.hideLoading();
+        }
+    },
+
+    /**
+     * Copy a page (with its edit history) right after itself
+     */
+    duplicatePage(index) {
+        UI.hidePageActions();
+        const page = this.pages[index];
+        if (!page) return;
+        
+        const copy = { ...page, id: null };
+        this.pages.splice(index + 1, 0, copy);
+        
+        const doc = this.ensureDocument();
+        this.persist(async () => {
+            const record = doc.pages.find(r => r.id === page.id);
+            if (!record) return;
+            
+            const copied = await DocumentStore.copyPage(doc, record);
+            copy.id = copied.id;
+            doc.pages.push(copied);
+            await this.saveDocumentOrder(doc);
+        });
+        
+        UI.setPageCount(this.pages.length);
+        UI.updateResultPages(this.pages);
+    },
+
+    /**
+     * Add new pages at a position
+     * @param {number} position - Index the first new page gets
+     * @param {string} from - 'scan' | 'image'
+     */
+    insertPages(position, from) {
+        UI.hidePageActions();
+        this.insertAt = position;
+        
+        if (from === 'scan') {
+            this.resumeScanning();
+        } else {
+            document.getElementById('add-image-input').click();
+        }
+    },
+
     // ═══════════════════════════════════════════════════════════════
     // PDF
     // ═══════════════════════════════════════════════════════════════
 
-    async createPDF() {
+    showPdfSettings() {
         if (this.pages.length === 0) {
-            UI.alert('No pages to create PDF!');
+            UI.alert('No pages to export!');
             return;
         }
         
-        UI.showLoading('Creating PDF...');
+        UI.showPdfSettings({ ...CONFIG.PDF.DEFAULTS, ...Settings.get('pdfOptions') });
+        this.updatePdfEstimate();
+    },
+
+    /**
+     * Show estimated file size for the options in the sheet
+     * (encodes pages - results are reused by PDFGenerator.create)
+     */
+    updatePdfEstimate() {
+        clearTimeout(this.estimateTimer);
+        const token = this.estimateToken = (this.estimateToken || 0) + 1;
+        const options = UI.readPdfSettings();
+        
+        // Size estimate covers the PDF only
+        if (Exporter.getFormat(options.format).id !== 'pdf') {
+            UI.setPdfEstimate('');
+            return;
+        }
+        
+        UI.setPdfEstimate('Estimating size...');
+        
+        this.estimateTimer = setTimeout(async () => {
+            try {
+                const result = await PDFGenerator.encodeForExport(this.pages, options);
+                if (token !== this.estimateToken) return;
+                
+                let text = `Estimated size: ~${PDFGenerator.formatSize(result.bytes)}`;
+                const { dpi, quality } = result.encoding;
+                const preset = CONFIG.PDF.PRESETS[options.preset] || {};
+                
+                if (!result.withinCap) {
+                    UI.setPdfEstimate(`${text} - can't reach ${options.maxSizeMB} MB`, 'warning');
+                    return;
+                }
+                if (options.maxSizeMB && (dpi !== preset.dpi || quality !== preset.quality)) {
+                    text += ` (reduced to ${dpi} dpi, ${Math.round(quality * 100)}% quality)`;
+                }
+                UI.setPdfEstimate(text);
+            } catch (err) {
+                console.warn('Size estimate failed:', err);
+                if (token === this.estimateToken) UI.setPdfEstimate('');
+            }
+        }, 300);
+    },
+
+    createExportFromSettings() {
+        const options = UI.readPdfSettings();
+        Settings.set('pdfOptions', options);
+        UI.hidePdfSettings();
+        this.createExport(options);
+    },
+
+    /**
+     * @param {Object} options - Export options (format, preset, page size, orientation, fit, dpi, margin)
+     */
+    async createExport(options = {}) {
+        if (this.pages.length === 0) {
+            UI.alert('No pages to export!');
+            return;
+        }
+        
+        const format = Exporter.getFormat(options.format);
+        
+        // Text layer - a missing OCR engine must not block the PDF
+        if (format.id === 'pdf' && CONFIG.OCR.ENABLED) {
+            try {
+                await this.recognizePages();
+            } catch (err) {
+                console.warn('OCR skipped:', err);
+                UI.showToast('Text recognition unavailable - PDF will not be searchable', 'warning');
+            }
+        }
+        
+        UI.showLoading(`Creating ${format.label}...`);
         
         try {
-            await PDFGenerator.create(this.pages);
+            await Exporter.create(this.pages, options);
             UI.hideLoading();
-            UI.showShareModal(this.pages.length);
+            
+            const info = PDFGenerator.exportInfo;
+            if (format.id === 'pdf' && !info.withinCap) {
+                UI.showToast(`PDF is ${PDFGenerator.formatSize(info.bytes)} - over the ${options.maxSizeMB} MB limit`, 'warning');
+            }
+            UI.showShareModal(this.pages.length, format);
         } catch (err) {
             UI.hideLoading();
-            console.error('PDF creation error:', err);
-            UI.alert('Error creating PDF: ' + err.message);
+            console.error('Export error:', err);
+            UI.alert(`Error creating ${format.label}: ` + err.message);
+        }
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // OCR
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * OCR pages without text yet and store the results
+     */
+    async recognizePages() {
+        UI.showLoading('Reading text...');
+        
+        try {
+            const recognized = await OCREngine.recognizePages(this.pages, (done, total) => {
+                UI.showLoading(`Reading text ${done + 1}/${total}...`);
+            });
+            
+            if (recognized.length > 0) {
+                this.saveOcrResults(recognized);
+            }
+        } finally {
+            UI.hideLoading();
+        }
+    },
+
+    saveOcrResults(pages) {
+        const doc = this.ensureDocument();
+        
+        return this.persist(async () => {
+            for (const page of pages) {
+                const record = doc.pages.find(r => r.id === page.id);
+                if (record) record.ocr = page.ocr;
+            }
+            await this.saveDocumentOrder(doc);
+        });
+    },
+
+    async copyText() {
+        if (this.pages.length === 0) {
+            UI.alert('No pages to read!');
+            return;
+        }
+        
+        try {
+            await this.recognizePages();
+        } catch (err) {
+            console.error('OCR error:', err);
+            UI.alert('Could not read text: ' + err.message);
+            return;
+        }
+        
+        const text = OCREngine.getText(this.pages);
+        if (!text) {
+            UI.showToast('No text found', 'warning');
+            return;
+        }
+        
+        try {
+            await this.copyToClipboard(text);
+            UI.showToast('Text copied', 'success');
+        } catch (err) {
+            console.error('Clipboard error:', err);
+            UI.alert('Could not copy text: ' + err.message);
         }
     },
 
-    downloadPDF() {
-        PDFGenerator.download('scanned_document.pdf');
+    async copyToClipboard(text) {
+        const plugins = typeof Capacitor !== 'undefined' ? Capacitor.Plugins : null;
+        
+        if (plugins && plugins.Clipboard) {
+            await plugins.Clipboard.write({ string: text });
+        } else if (navigator.clipboard && navigator.clipboard.writeText) {
+            await navigator.clipboard.writeText(text);
+        } else {
+            // Old WebView fallback
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            document.body.appendChild(textarea);
+            textarea.select();
+            document.execCommand('copy');
+            document.body.removeChild(textarea);
+        }
+    },
+
+    downloadExport() {
+        Exporter.download(this.exportFileName());
     },
 
-    async sharePDF() {
-        const shared = await PDFGenerator.share('scanned_document.pdf');
+    async shareExport() {
+        const shared = await Exporter.share(this.exportFileName());
         if (!shared) {
-            UI.alert('PDF downloaded! Share via WhatsApp manually.');
+            UI.alert('File downloaded! Share via WhatsApp manually.');
         }
     },
 
+    exportFileName() {
+        const format = Exporter.file ? Exporter.file.format : Exporter.getFormat('pdf');
+        return DocumentStore.fileName(this.currentDocument, format.extension);
+    },
+
     startNewScan() {
-        this.pages = [];
-        PDFGenerator.clear();
-        UI.setPageCount(0);
+        this.clearWorkingDocument();
         UI.hideShareModal();
         UI.showScreen('welcome');
+    },
+
+    /**
+     * Close current document (it stays in the library)
+     */
+    clearWorkingDocument() {
+        this.pages = [];
+        this.currentDocument = null;
+        
+        // An interrupted insert / re-edit must not carry over to the next document
+        this.insertAt = null;
+        this.editing = null;
+        this.captureQueue = [];
+        Exporter.clear();
+        UI.setPageCount(0);
+        UI.setDocumentTitle(null);
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // LIBRARY
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Queue storage work so writes happen in order without blocking UI
+     */
+    persist(task) {
+        if (!DocumentStore.isReady()) return Promise.resolve();
+        
+        this.saveQueue = this.saveQueue
+            .then(task)
+            .catch(err => {
+                console.error('Library save failed:', err);
+                UI.alert('Could not save to library: ' + err.message);
+            });
+        
+        return this.saveQueue;
+    },
+
+    /**
+     * Get current document, creating one on first saved page
+     */
+    ensureDocument() {
+        if (!this.currentDocument) {
+            this.currentDocument = DocumentStore.create();
+            UI.setDocumentTitle(this.currentDocument.name);
+        }
+        return this.currentDocument;
+    },
+
+    /**
+     * Store page images in the library
+     * @param {Object} page - Entry in App.pages (receives its record id)
+     * @param {Object} images - { processed, original?, source? } data URLs
+     */
+    storePage(page, images) {
+        const doc = this.ensureDocument();
+        
+        return this.persist(async () => {
+            const record = await DocumentStore.addPage(doc, images, page);
+            
+            page.id = record.id;
+            doc.pages.push(record);
+            await this.saveDocumentOrder(doc);
+        });
+    },
+
+    /**
+     * Store re-edited page images + settings
+     * @param {Object} images - Only the images that changed
+     */
+    updateStoredPage(page, images) {
+        const doc = this.ensureDocument();
+        
+        return this.persist(async () => {
+            const record = doc.pages.find(r => r.id === page.id);
+            if (!record) return;
+            
+            await DocumentStore.updatePage(doc, record, images, page);
+            await this.saveDocumentOrder(doc, this.pages[0] === page ? page.dataUrl : null);
+        });
+    },
+
+    /**
+     * Save a document; the open one gets its page records in App.pages order
+     * @param {string} firstPageDataUrl - Pass when page 1 image changed (thumbnail)
+     */
+    async saveDocumentOrder(doc = this.currentDocument, firstPageDataUrl = null) {
+        if (!doc) return;
+        
+        if (doc === this.currentDocument) {
+            const records = new Map(doc.pages.map(record => [record.id, record]));
+            doc.pages = this.pages.map(page => records.get(page.id)).filter(Boolean);
+        }
+        
+        await DocumentStore.save(doc, firstPageDataUrl);
+    },
+
+    async showLibrary() {
+        UI.showScreen('library');
+        await this.refreshLibrary();
+    },
+
+    async refreshLibrary() {
+        if (!DocumentStore.isReady()) {
+            UI.renderLibrary([], {});
+            UI.alert('Document storage is not available');
+            return;
+        }
+        
+        await this.saveQueue;
+        const docs = await DocumentStore.list();
+        
+        UI.renderLibrary(docs, {
+            onOpen: (id) => this.openDocument(id),
+            onRename: (id) => this.renameDocument(id),
+            onDuplicate: (id) => this.duplicateDocument(id),
+            onDelete: (id) => this.deleteDocument(id)
+        });
+    },
+
+    /**
+     * Start scanning into a fresh document
+     */
+    startNewDocument() {
+        this.clearWorkingDocument();
+        this.startCamera();
+    },
+
+    async openDocument(id) {
+        UI.showLoading('Opening document...');
+        
+        try {
+            await this.saveQueue;
+            const doc = await DocumentStore.get(id);
+            if (!doc) throw new Error('Document not found');
+            
+            this.clearWorkingDocument();
+            this.currentDocument = doc;
+            const { pages, missing } = await DocumentStore.loadPages(doc);
+            this.pages = pages;
+            
+            UI.hideLoading();
+            UI.setPageCount(this.pages.length);
+            UI.setDocumentTitle(doc.name);
+            UI.showScreen('result');
+            UI.updateResultPages(this.pages);
+            
+            if (missing.length > 0) this.dropMissingPages(doc, missing);
+        } catch (err) {
+            UI.hideLoading();
+            console.error('Open document failed:', err);
+            UI.alert('Could not open document: ' + err.message);
+        }
+    },
+
+    /**
+     * Pages whose image could not be read: delete the record with its
+     * remaining images (the next saved order would orphan them) and say so
+     * @param {Object[]} records - Page records from DocumentStore.loadPages
+     */
+    dropMissingPages(doc, records) {
+        const count = records.length === 1 ? '1 page' : `${records.length} pages`;
+        UI.alert(`${count} could not be loaded and ${records.length === 1 ? 'was' : 'were'} removed`);
+        
+        this.persist(async () => {
+            for (const record of records) {
+                await DocumentStore.removePageImages(record);
+            }
+            doc.pages = doc.pages.filter(record => !records.includes(record));
+            await this.saveDocumentOrder(doc);
+        });
+    },
+
+    async renameDocument(id) {
+        await this.saveQueue;
+        const isCurrent = this.currentDocument && this.currentDocument.id === id;
+        const doc = isCurrent ? this.currentDocument : await DocumentStore.get(id);
+        if (!doc) return;
+        
+        const name = window.prompt('Document name', doc.name);
+        if (!name || !name.trim()) return;
+        
+        if (isCurrent) {
+            doc.name = name.trim();
+            UI.setDocumentTitle(doc.name);
+            await this.persist(() => this.saveDocumentOrder(doc));
+        } else {
+            await this.persist(() => DocumentStore.rename(id, name));
+        }
+        
+        if (UI.currentScreen === 'library') {
+            await this.refreshLibrary();
+        }
+    },
+
+    async duplicateDocument(id) {
+        UI.showLoading('Duplicating...');
+        await this.persist(() => DocumentStore.duplicate(id));
+        UI.hideLoading();
+        await this.refreshLibrary();
+    },
+
+    async deleteDocument(id) {
+        const confirmed = await UI.confirm('Delete this document? This cannot be undone.', {
+            title: 'Delete document',
+            confirm: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
+        
+        if (this.currentDocument && this.currentDocument.id === id) {
+            this.clearWorkingDocument();
+        }
+        
+        await this.persist(() => DocumentStore.remove(id));
+        await this.refreshLibrary();
     }
 };
 
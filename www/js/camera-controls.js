@@ -0,0 +1,162 @@
+/**
+ * Camera Controls Module
+ * Torch, zoom, tap-to-focus/meter and exposure compensation on the preview
+ * track (MediaStreamTrack.applyConstraints)
+ *
+ * Only what getCapabilities() reports is offered - browsers and Android
+ * WebViews differ a lot, and unsupported constraints are ignored or throw.
+ */
+
+const CameraControls = {
+
+    track: null,
+    capabilities: {},
+    focusTimer: null,
+
+    state: {
+        torch: false,
+        zoom: 1,
+        exposure: 0
+    },
+
+    /**
+     * Read the capabilities of a new preview stream
+     * @param {MediaStream} stream
+     * @returns {Object} describe()
+     */
+    attach(stream) {
+        this.detach();
+
+        this.track = stream ? stream.getVideoTracks()[0] || null : null;
+        this.capabilities = this.track && typeof this.track.getCapabilities === 'function'
+            ? this.track.getCapabilities()
+            : {};
+
+        const settings = this.track && typeof this.track.getSettings === 'function'
+            ? this.track.getSettings()
+            : {};
+        this.state = {
+            torch: Boolean(settings.torch),
+            zoom: settings.zoom || (this.capabilities.zoom ? this.capabilities.zoom.min : 1),
+            exposure: settings.exposureCompensation || 0
+        };
+
+        const support = this.describe();
+        console.log('🎛️ Camera controls:', Object.keys(support).filter(key => support[key]).join(', ') || 'none');
+        return support;
+    },
+
+    detach() {
+        clearTimeout(this.focusTimer);
+        this.track = null;
+        this.capabilities = {};
+    },
+
+    /**
+     * Supported controls with their ranges (null = hide the control)
+     * @returns {{ torch: boolean, zoom: Object|null, exposure: Object|null, focus: boolean }}
+     */
+    describe() {
+        const caps = this.capabilities;
+        const range = (cap, value) => cap && cap.max > cap.min
+            ? { min: cap.min, max: cap.max, step: cap.step || (cap.max - cap.min) / 100, value }
+            : null;
+
+        return {
+            torch: caps.torch === true,
+            zoom: range(caps.zoom, this.state.zoom),
+            exposure: range(caps.exposureCompensation, this.state.exposure),
+            focus: this.hasMode('focusMode') || this.hasMode('exposureMode')
+        };
+    },
+
+    /**
+     * Mode capability offers a one-shot or continuous mode
+     */
+    hasMode(name) {
+        const modes = this.capabilities[name] || [];
+        return modes.includes('single-shot') || modes.includes('continuous');
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // CONTROLS
+    // ═══════════════════════════════════════════════════════════════
+
+    async setTorch(on) {
+        if (!this.describe().torch) return false;
+
+        const ok = await this.apply({ torch: on });
+        if (ok) this.state.torch = on;
+        return ok;
+    },
+
+    /**
+     * @param {number} value - Clamped to the zoom capability range
+     */
+    async setZoom(value) {
+        const zoom = this.describe().zoom;
+        if (!zoom) return false;
+
+        const clamped = Math.max(zoom.min, Math.min(zoom.max, value));
+        const ok = await this.apply({ zoom: clamped });
+        if (ok) this.state.zoom = clamped;
+        return ok;
+    },
+
+    /**
+     * @param {number} value - EV steps, clamped to the capability range
+     */
+    async setExposure(value) {
+        const exposure = this.describe().exposure;
+        if (!exposure) return false;
+
+        const clamped = Math.max(exposure.min, Math.min(exposure.max, value));
+        const ok = await this.apply({ exposureCompensation: clamped });
+        if (ok) this.state.exposure = clamped;
+        return ok;
+    },
+
+    /**
+     * Focus and meter on a point, then back to continuous after FOCUS_HOLD_MS
+     * @param {number} x - 0..1 across the video frame
+     * @param {number} y - 0..1 down the video frame
+     * @returns {Promise<boolean>} false if the camera cannot focus on a point
+     */
+    async focusAt(x, y) {
+        if (!this.describe().focus) return false;
+
+        const constraints = { pointsOfInterest: [{ x, y }] };
+        for (const name of ['focusMode', 'exposureMode']) {
+            if (this.hasMode(name)) {
+                const modes = this.capabilities[name];
+                constraints[name] = modes.includes('single-shot') ? 'single-shot' : 'continuous';
+            }
+        }
+
+        const ok = await this.apply(constraints);
+
+        // Resume continuous focus so the next page is sharp too
+        clearTimeout(this.focusTimer);
+        this.focusTimer = setTimeout(() => {
+            const resume = {};
+            for (const name of ['focusMode', 'exposureMode']) {
+                if ((this.capabilities[name] || []).includes('continuous')) resume[name] = 'continuous';
+            }
+            if (Object.keys(resume).length > 0) this.apply(resume);
+        }, CONFIG.CAMERA.FOCUS_HOLD_MS);
+
+        return ok;
+    },
+
+    async apply(constraints) {
+        if (!this.track) return false;
+
+        try {
+            await this.track.applyConstraints({ advanced: [constraints] });
+            return true;
+        } catch (err) {
+            console.warn('Camera constraint rejected:', constraints, err);
+            return false;
+        }
+    }
+};
@@ -0,0 +1,198 @@
+/**
+ * Capture Refine Module
+ * Puts the preview quad onto the full-resolution capture precisely
+ *
+ * 1. Seed: the preview quad mapped onto the capture. A native photo can
+ *    have another aspect than the video - the preview shows its centre.
+ * 2. Re-detect: OpenCV on a downscaled copy of the capture; the quad
+ *    closest to the seed replaces it (the page may have moved meanwhile).
+ * 3. Refine: corners from lines fitted to the edges (EdgeFitter, on a
+ *    CAPTURE_SIZE copy); corners without two clear edges move to the
+ *    gradient corner point at full resolution (Förstner / cornerSubPix
+ *    estimator) - the perspective crop lands on the paper edge.
+ */
+
+const CaptureRefiner = {
+
+    /**
+     * @param {HTMLCanvasElement} canvas - Full-resolution capture
+     * @param {Object[]} quads - Preview quads in video coordinates
+     * @param {number} videoWidth
+     * @param {number} videoHeight
+     * @returns {Object[]} Quads in capture coordinates (the mapped seeds if refining fails)
+     */
+    refine(canvas, quads, videoWidth, videoHeight) {
+        const seeds = quads.map(quad => this.mapToCapture(quad, videoWidth, videoHeight, canvas.width, canvas.height));
+        if (!CONFIG.CAPTURE_REFINE.ENABLED) return seeds;
+
+        try {
+            const candidates = this.redetect(canvas);
+
+            return seeds.map(seed => {
+                const quad = this.closest(seed, candidates, canvas) || seed;
+                const refined = this.refineCorners(canvas, quad);
+                console.log(`🎯 Capture corners refined (${quad === seed ? 'seed' : 're-detected'}, ` +
+                    `moved ${Geometry.cornerDistance(seed, refined).toFixed(1)}px)`);
+                return refined;
+            });
+        } catch (err) {
+            // Refining is an improvement - the preview quads still crop the page
+            console.warn('⚠️ Capture refine failed, using preview corners:', err);
+            return seeds;
+        }
+    },
+
+    /**
+     * Preview → capture coordinates; the video frame is the centred crop of
+     * the capture with the video's aspect
+     */
+    mapToCapture(quad, videoWidth, videoHeight, width, height) {
+        const aspect = videoWidth / videoHeight;
+        const cropWidth = Math.min(width, height * aspect);
+        const cropHeight = cropWidth / aspect;
+        const offsetX = (width - cropWidth) / 2;
+        const offsetY = (height - cropHeight) / 2;
+
+        const map = p => ({
+            x: offsetX + p.x / videoWidth * cropWidth,
+            y: offsetY + p.y / videoHeight * cropHeight
+        });
+
+        return { tl: map(quad.tl), tr: map(quad.tr), br: map(quad.br), bl: map(quad.bl), _confidence: quad._confidence };
+    },
+
+    /**
+     * Document quads on the capture (capture coordinates)
+     */
+    redetect(canvas) {
+        if (!OpenCVDetector.isReady()) return [];
+
+        const work = ImageProcessor.resize(canvas, CONFIG.CAPTURE_REFINE.WORK_SIZE);
+        const imageData = work.getContext('2d').getImageData(0, 0, work.width, work.height);
+
+        return [
+            OpenCVDetector.detect(imageData, work.width, work.height),
+            ...OpenCVDetector.detectAll(imageData, work.width, work.height)
+        ]
+            .filter(Boolean)
+            .map(quad => Geometry.scaleCorners(quad, work.width, work.height, canvas.width, canvas.height));
+    },
+
+    closest(seed, candidates, canvas) {
+        const limit = CONFIG.CAPTURE_REFINE.MAX_SEED_DISTANCE * Math.hypot(canvas.width, canvas.height);
+        let best = null;
+        let bestDistance = limit;
+
+        for (const candidate of candidates) {
+            const distance = Geometry.cornerDistance(seed, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // SUB-PIXEL CORNERS
+    // ═══════════════════════════════════════════════════════════════
+
+    refineCorners(canvas, quad) {
+        const cfg = CONFIG.CAPTURE_REFINE;
+        const radius = Math.max(cfg.MIN_WINDOW, Math.round(cfg.WINDOW_RATIO * Math.hypot(canvas.width, canvas.height)));
+        const { corners, fitted } = this.fitEdges(canvas, quad);
+        const refined = { _confidence: quad._confidence };
+
+        for (const key of ['tl', 'tr', 'br', 'bl']) {
+            refined[key] = fitted[key] ? corners[key] : this.refinePoint(canvas, quad[key], radius);
+        }
+        return refined;
+    },
+
+    /**
+     * EdgeFitter on a downscaled copy, corners back in capture coordinates
+     */
+    fitEdges(canvas, quad) {
+        if (!CONFIG.EDGE_FIT.ENABLED) return { corners: quad, fitted: {} };
+
+        const work = ImageProcessor.resize(canvas, CONFIG.EDGE_FIT.CAPTURE_SIZE);
+        const image = work.getContext('2d').getImageData(0, 0, work.width, work.height);
+        const { corners, fitted } = EdgeFitter.fit(
+            Geometry.scaleCorners(quad, canvas.width, canvas.height, work.width, work.height),
+            image
+        );
+
+        return {
+            corners: Geometry.scaleCorners(corners, work.width, work.height, canvas.width, canvas.height),
+            fitted
+        };
+    },
+
+    /**
+     * Point where the surrounding gradients meet: minimizes the sum of
+     * (g · (q - p))² over the window, i.e. solves G q = Σ g gᵀ p
+     * @returns {Object} Refined point, or the input when there is no corner
+     */
+    refinePoint(canvas, point, radius) {
+        const cfg = CONFIG.CAPTURE_REFINE;
+        const size = 4 * radius + 3;        // Room for the window to wander
+        const x0 = Math.max(0, Math.round(point.x) - 2 * radius - 1);
+        const y0 = Math.max(0, Math.round(point.y) - 2 * radius - 1);
+        const w = Math.min(size, canvas.width - x0);
+        const h = Math.min(size, canvas.height - y0);
+        if (w < 3 || h < 3) return point;
+
+        const gray = this.grayPatch(canvas, x0, y0, w, h);
+        const sigma2 = 2 * (radius / 2) ** 2;
+        let p = { x: point.x - x0, y: point.y - y0 };
+
+        for (let iter = 0; iter < cfg.ITERATIONS; iter++) {
+            let a = 0, b = 0, c = 0, bx = 0, by = 0;
+
+            const u0 = Math.max(1, Math.round(p.x - radius));
+            const u1 = Math.min(w - 2, Math.round(p.x + radius));
+            const v0 = Math.max(1, Math.round(p.y - radius));
+            const v1 = Math.min(h - 2, Math.round(p.y + radius));
+
+            for (let v = v0; v <= v1; v++) {
+                for (let u = u0; u <= u1; u++) {
+                    const gx = (gray[v * w + u + 1] - gray[v * w + u - 1]) / 2;
+                    const gy = (gray[(v + 1) * w + u] - gray[(v - 1) * w + u]) / 2;
+                    const weight = Math.exp(-((u - p.x) ** 2 + (v - p.y) ** 2) / sigma2);
+
+                    const gxx = weight * gx * gx;
+                    const gxy = weight * gx * gy;
+                    const gyy = weight * gy * gy;
+                    a += gxx;
+                    b += gxy;
+                    c += gyy;
+                    bx += gxx * u + gxy * v;
+                    by += gxy * u + gyy * v;
+                }
+            }
+
+            // Flat patch or a straight edge - no corner to lock onto
+            const det = a * c - b * b;
+            const trace = a + c;
+            if (trace === 0 || 4 * det / (trace * trace) < cfg.MIN_ISOTROPY) return point;
+
+            const next = { x: (c * bx - b * by) / det, y: (a * by - b * bx) / det };
+            const moved = Math.hypot(next.x - p.x, next.y - p.y);
+            p = next;
+            if (moved < cfg.EPSILON) break;
+        }
+
+        const result = { x: p.x + x0, y: p.y + y0 };
+        if (Math.hypot(result.x - point.x, result.y - point.y) > radius) return point;
+        return result;
+    },
+
+    grayPatch(canvas, x, y, w, h) {
+        const data = canvas.getContext('2d').getImageData(x, y, w, h).data;
+        const gray = new Float32Array(w * h);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+        return gray;
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * Checksum Module
+ * CRC-32 (IEEE, as used by PNG and ZIP)
+ */
+
+const Checksum = {
+
+    CRC_TABLE: null,
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {number} Unsigned 32-bit CRC
+     */
+    crc32(bytes) {
+        if (!this.CRC_TABLE) {
+            this.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+};
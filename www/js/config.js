@@ -14,7 +14,8 @@ const CONFIG = {
         WIDTH: 3840,          // 4K resolution for high quality prints
         HEIGHT: 2160,         // 4K resolution
         FACING_MODE: 'environment',
-        PROCESS_SCALE: 0.25   // Scale down more for detection (4K is big)
+        PROCESS_SCALE: 0.25,  // Scale down more for detection (4K is big)
+        FOCUS_HOLD_MS: 4000   // Tap-to-focus point kept before continuous focus resumes
     },
     
     // ═══════════════════════════════════════════════════════════════
@@ -35,19 +36,167 @@ const CONFIG = {
         MODEL_PATH: './models/corner_heatmap.onnx',
         INPUT_SIZE: 128,
         OUTPUT_SIZE: 32,
-        SKIP_FRAMES: 4,
+        SKIP_FRAMES: 2,             // Detection calls - the tracker already thins them
         CONFIDENCE_TRUSTED: 0.25,
-        CONFIDENCE_RESCUE: 0.30
+        CONFIDENCE_RESCUE: 0.30,
+        PEAK_RADIUS: 2,             // Cells around the peak that belong to it
+        MIN_SHARPNESS: 0.3,         // Share of the heatmap mass in the peak - below = diffuse
+        SECOND_PEAK_RATIO: 0.5      // Other peak this strong = ambiguous corner
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // EDGE FIT (corners from lines fitted to the document edges)
+    // ═══════════════════════════════════════════════════════════════
+    EDGE_FIT: {
+        ENABLED: true,
+        SAMPLES: 24,                // Edge points searched per side
+        END_MARGIN: 0.15,           // Side ends skipped (rounded corners)
+        SEARCH_RATIO: 0.01,         // Search across the side ± this × diagonal
+        MIN_SEARCH: 4,              // px
+        MIN_GRADIENT: 8,            // Gray step per px that counts as an edge
+        RANSAC_ITERATIONS: 40,
+        INLIER_TOLERANCE: 1,        // px from the line
+        MIN_INLIER_RATIO: 0.4,      // Of SAMPLES - fewer = keep the old corners
+        MAX_SHIFT: 2,               // Corner may move this × the search distance
+        CAPTURE_SIZE: 2000          // Capture fitted at this size (px, long side)
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // FUSION (OpenCV + heatmap, per corner)
+    // ═══════════════════════════════════════════════════════════════
+    FUSION: {
+        CORNER_SPAN: 0.25,          // Edge support sampled on this part of each adjacent side
+        OPENCV_PRIOR: 0.8,          // Contour corner score = prior × edge support
+        OPENCV_FLOOR: 0.6,          // Contour alone never scores below this (> CORNER_CONFIDENCE_MIN)
+        DISAGREEMENT_PENALTY: 0.5   // Detectors disagree → winner's score × penalty
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TRACKER (optical flow + Kalman between detections)
+    // ═══════════════════════════════════════════════════════════════
+    TRACKER: {
+        ENABLED: true,
+        DETECT_INTERVAL: 3,         // Full detection every Nth frame while tracking
+        LEVELS: 3,                  // Pyramid levels
+        WINDOW: 7,                  // Flow window radius (px)
+        ITERATIONS: 10,
+        EPSILON: 0.03,              // px - flow converged
+        MIN_EIGENVALUE: 20,         // Gradient structure needed to track a corner
+        MAX_RESIDUAL: 25,           // Mean gray difference - above = lost
+        MIN_TRACKED_CORNERS: 3,
+        MAX_MISSES: 2,              // Empty detections in a row → page gone
+        MAX_JUMP: 0.1,              // Detection this far (× diagonal) = new page
+        RESET_MS: 500,              // Longer gap between frames - start over
+        PROCESS_NOISE: 0.5,         // Kalman acceleration variance (px²)
+        FLOW_NOISE: 1,              // Measurement variance (px²)
+        DETECTION_NOISE: 4
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // DETECTION WORKER (preview detection off the main thread)
+    // ═══════════════════════════════════════════════════════════════
+    DETECT_WORKER: {
+        ENABLED: true,
+        SCRIPT: 'js/detect-worker.js',
+        OPENCV_PATH: '../lib/opencv.js',     // Relative to the worker script
+        ORT_URL: 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.0/dist/ort.min.js',
+        MODEL_PATH: '../models/corner_heatmap.onnx',
+        TIMEOUT_MS: 1000,           // No answer → frame skipped; next frames wait for the worker
+        STALL_MS: 5000,             // Still no answer → worker hung, detection moves to the main thread
+        LATENCY_SMOOTHING: 0.2,     // EMA weight of the newest frame latency
+        PACING_FACTOR: 0.5,         // Pause between frames = latency × factor
+        MIN_FRAME_INTERVAL_MS: 0,
+        MAX_FRAME_INTERVAL_MS: 200
     },
     
     // ═══════════════════════════════════════════════════════════════
     // DEWARP CNN (curve flattening)
     // ═══════════════════════════════════════════════════════════════
     DEWARP: {
-        ENABLED: false,       // Disabled - enable for book scanning
+        ENABLED: true,        // Try the CNN in book mode (text-line fallback if missing)
         MODEL_PATH: './models/doc_dewarp.onnx',
         INPUT_SIZE: 256,
-        MAX_DISPLACEMENT: 12
+        MAX_DISPLACEMENT: 12,
+        
+        // Text-line fallback (cylinder model)
+        WORK_SIZE: 800,         // Analysis resolution (px, long side)
+        BANDS: 3,               // Horizontal bands - curvature changes top → bottom
+        STRIPS: 16,             // Vertical strips per band
+        INK_RATIO: 0.7,         // Darker than 70% of mean brightness = text
+        MIN_INK: 0.01,          // Strip needs 1% text pixels to be matched
+        MAX_SHIFT: 0.02,        // Max line shift between neighbour strips (× height)
+        MIN_CORRELATION: 0.5,
+        MIN_STRIPS: 6,          // Matched strips needed to fit a band
+        MIN_AMPLITUDE: 1,       // Below = flat page (work px)
+        MAX_AMPLITUDE: 0.1,     // Above = implausible (× height)
+        ARC_GAIN: 1,            // Surface height per px of line shift
+        GRID: 48                // Remap grid nodes per side
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // MULTI-DOCUMENT (several receipts / cards in one shot)
+    // ═══════════════════════════════════════════════════════════════
+    MULTI_DOC: {
+        MIN_AREA_RATIO: 0.01,       // Cards are small - 1% of the frame
+        MAX_DOCUMENTS: 6,
+        MIN_RECTANGULARITY: 0.85,   // Quad area / min bounding rectangle area
+        HOLD_FRAMES: 5              // Keep the last quads through brief misses
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // ID CARD (ISO/IEC 7810 sizes, front + back on one page)
+    // ═══════════════════════════════════════════════════════════════
+    ID_CARD: {
+        FORMATS: {
+            id1: { label: 'ID-1', width: 85.6, height: 54 },    // Bank / ID cards, mm
+            id3: { label: 'ID-3', width: 125, height: 88 }      // Passport data page
+        },
+        ASPECT_TOLERANCE: 0.15,     // Measured / true aspect - perspective skews it
+        PAGE_SIZE: 'a4',            // Sheet both sides are placed on
+        GAP: 20                     // mm between front and back
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // DESKEW (straighten text lines after correction)
+    // ═══════════════════════════════════════════════════════════════
+    DESKEW: {
+        WORK_SIZE: 800,         // Analysis resolution (px, long side)
+        INK_RATIO: 0.7,         // Darker than 70% of mean brightness = text
+        MIN_INK_POINTS: 500,    // Fewer = no text, leave as is
+        MAX_ANGLE: 5,           // Search ±5°
+        STEP: 0.25,
+        FINE_STEP: 0.05,
+        MIN_ANGLE: 0.1          // Smaller skew is not corrected
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // ORIENTATION (upright sideways / upside-down captures)
+    // ═══════════════════════════════════════════════════════════════
+    ORIENTATION: {
+        ENABLED: true,
+        MODEL_PATH: './models/doc_orientation.onnx',  // Optional - text-line fallback
+        INPUT_SIZE: 224,
+        MIN_MODEL_CONFIDENCE: 0.6,  // Below = ask the fallback
+        
+        // Text-line fallback
+        WORK_SIZE: 800,             // Analysis resolution (px, long side)
+        INK_RATIO: 0.7,             // Darker than 70% of mean brightness = text
+        MIN_INK: 0.005,             // Less text = leave as is
+        LINE_CONTRAST_RATIO: 1.3,   // Line profile must be this much more periodic
+        MIN_LINE_INK: 0.01,         // Row with ink in 1% of the width belongs to a line
+        MIN_LINE_HEIGHT: 4,         // px
+        MIN_BALANCE: 0.1            // Ascender / descender evidence needed to turn
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // BOOK SPREAD (two-page split at the gutter)
+    // ═══════════════════════════════════════════════════════════════
+    SPREAD: {
+        WORK_SIZE: 600,         // Analysis resolution (px, long side)
+        SEARCH: 0.15,           // Look for the gutter within ±15% of the centre
+        SHADOW_WINDOW: 0.04,    // Neighbourhood compared against for the fold shadow (× width)
+        INK_RATIO: 0.7,
+        MIN_SCORE: -0.02        // Below (text, no shadow) = split in the middle
     },
     
     // ═══════════════════════════════════════════════════════════════
@@ -67,9 +216,65 @@ const CONFIG = {
     // AUTO CAPTURE
     // ═══════════════════════════════════════════════════════════════
     AUTO_CAPTURE: {
-        ENABLED: false,         // Disabled - manual capture only
-        DELAY: 400,             // ms to wait after lock before capture
-        SOUND: true             // Play shutter sound on manual capture
+        SOUND: true,            // Play shutter sound on manual capture
+        
+        // Quality gate (preview scale, inside the detected quad)
+        MIN_SHARPNESS: 40,      // Laplacian variance - below = blurry
+        MAX_GLARE_RATIO: 0.02,  // Max 2% blown-out pixels
+        MIN_AREA_RATIO: 0.15,   // Document must fill 15% of the frame
+        MIN_BRIGHTNESS: 50,     // Mean gray - below = too dark
+        MAX_OVEREXPOSED_RATIO: 0.4,  // Max 40% clipped pixels (any colour)
+        
+        // Re-arm after a capture (so the same page is not captured twice)
+        REARM_MISSED_FRAMES: 10,  // Frames without a document (page removed)
+        REARM_DIFFERENCE: 18      // Mean gray change inside quad (page turned)
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // CAPTURE GUIDANCE (live camera hints, optionally spoken)
+    // ═══════════════════════════════════════════════════════════════
+    GUIDANCE: {
+        STABLE_FRAMES: 3,       // Hint must repeat this many frames to show
+        MIN_AREA_RATIO: 0.15,   // Smaller = move closer
+        MAX_AREA_RATIO: 0.92,   // Larger = too close
+        EDGE_MARGIN: 0.01,      // Corner this close to the frame edge = too close
+        MAX_SKEW: 1.35,         // Opposite edge length ratio - above = tilt phone
+        MIN_BRIGHTNESS: 50,     // Mean gray - below = too dark
+        MAX_GLARE_RATIO: 0.02,
+        MIN_CONTRAST: 25,       // Page must be this much brighter than around it
+        BORDER: 0.1,            // Background band around the quad (× quad size)
+        BRIGHT_BACKGROUND: 170, // No quad + bright, uniform frame = light table
+        UNIFORM_DEVIATION: 25,
+        SAMPLE_STEP: 4,         // Sample every 4th pixel
+        SPEECH_MIN_GAP_MS: 2500,
+        SPEECH_REPEAT_MS: 8000
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // CAPTURE QUALITY (captured page check → retake prompt)
+    // ═══════════════════════════════════════════════════════════════
+    CAPTURE_QUALITY: {
+        ENABLED: true,
+        WORK_SIZE: 800,         // Page analyzed at this size (px, long side)
+        MIN_SHARPNESS: 30,
+        MAX_GLARE_RATIO: 0.03,
+        MIN_BRIGHTNESS: 50,
+        MAX_OVEREXPOSED_RATIO: 0.4,
+        OVERRIDE_MS: 3000       // Second tap within this time captures anyway
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // CAPTURE REFINE (corners re-detected on the full-resolution capture)
+    // ═══════════════════════════════════════════════════════════════
+    CAPTURE_REFINE: {
+        ENABLED: true,
+        WORK_SIZE: 1000,        // Re-detection on the capture at this size (px, long side)
+        MAX_SEED_DISTANCE: 0.05,// Re-detected quad must be this close to the preview quad (× diagonal)
+        WINDOW_RATIO: 0.005,    // Corner search radius (× diagonal)
+        MIN_WINDOW: 6,          // px
+        ITERATIONS: 10,
+        EPSILON: 0.1,           // px - stop when a corner moves less
+        MIN_ISOTROPY: 0.1       // Gradients must point two ways (corner, not edge)
     },
     
     // ═══════════════════════════════════════════════════════════════
@@ -123,13 +328,83 @@ const CONFIG = {
         JPEG_QUALITY: 0.98      // Maximum quality for print
     },
     
+    // ═══════════════════════════════════════════════════════════════
+    // OCR (on-device, searchable PDF text layer)
+    // ═══════════════════════════════════════════════════════════════
+    OCR: {
+        ENABLED: true,          // Add invisible text layer to PDFs
+        LIB_PATH: './lib/tesseract/tesseract.min.js',
+        WORKER_PATH: './lib/tesseract/worker.min.js',
+        CORE_PATH: './lib/tesseract/core',
+        LANG_PATH: './lib/tesseract/lang',
+        LANGUAGES: 'eng',       // '+'-separated, e.g. 'eng+hin'
+        MAX_DIMENSION: 2000,    // Downscale pages before recognition
+        MIN_CONFIDENCE: 30      // Drop words below this confidence
+    },
+    
     // ═══════════════════════════════════════════════════════════════
     // PDF
     // ═══════════════════════════════════════════════════════════════
     PDF: {
-        PAGE_WIDTH: 210,
-        PAGE_HEIGHT: 297,
-        MARGIN: 5
+        // Paper sizes in mm (portrait)
+        PAGE_SIZES: {
+            a4: [210, 297],
+            letter: [215.9, 279.4],
+            legal: [215.9, 355.6],
+            a5: [148, 210]
+        },
+        
+        // Export defaults (user choice kept in Settings.pdfOptions)
+        DEFAULTS: {
+            format: 'pdf',          // Export format (see EXPORT.FORMATS)
+            pageSize: 'a4',         // a4 | letter | legal | a5 | custom | image (fit page to image)
+            customWidth: 210,       // mm
+            customHeight: 297,      // mm
+            orientation: 'auto',    // auto (per page) | portrait | landscape
+            fit: 'fit',             // fit (letterbox) | fill (crop to page) | actual (size at dpi)
+            dpi: 300,               // For 'actual' fit and 'image' page size
+            margin: 5,              // mm
+            preset: 'standard',     // Size preset (see PRESETS)
+            maxSizeMB: 0            // Hard size cap, 0 = no limit
+        },
+        
+        // Size presets: pages resampled to DPI on paper and recompressed
+        // (dpi/quality null = embed stored page as-is)
+        PRESETS: {
+            small: { dpi: 120, quality: 0.6 },      // Email / WhatsApp
+            standard: { dpi: 200, quality: 0.8 },
+            high: { dpi: 300, quality: 0.92 },      // Print
+            original: { dpi: null, quality: null }
+        },
+        
+        // Size cap: step quality down first, then resolution
+        SIZE_CAP: {
+            START_DPI: 600,
+            MIN_QUALITY: 0.4,
+            QUALITY_STEP: 0.1,
+            MIN_DPI: 72,
+            DPI_STEP: 0.8,
+            MAX_STEPS: 12
+        },
+        
+        // Non-image bytes per page (PDF objects) and per OCR word
+        PAGE_OVERHEAD: 3000,
+        OCR_WORD_BYTES: 60
+    },
+    
+    // ═══════════════════════════════════════════════════════════════
+    // EXPORT
+    // ═══════════════════════════════════════════════════════════════
+    EXPORT: {
+        // File formats offered in the export sheet
+        FORMATS: {
+            pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf', icon: '📄' },
+            tiff: { label: 'TIFF', extension: 'tif', mimeType: 'image/tiff', icon: '🖼️' },
+            png: { label: 'PNG (ZIP)', extension: 'zip', mimeType: 'application/zip', icon: '🗂️', imageType: 'image/png', imageExtension: 'png' },
+            jpeg: { label: 'JPEG (ZIP)', extension: 'zip', mimeType: 'application/zip', icon: '🗂️', imageType: 'image/jpeg', imageExtension: 'jpg' }
+        },
+        
+        TIFF_STRIP_BYTES: 65536     // Uncompressed bytes per TIFF strip
     },
     
     // ═══════════════════════════════════════════════════════════════
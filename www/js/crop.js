@@ -24,8 +24,12 @@ const CropManager = {
     
     /**
      * Initialize crop manager
+     * @param {HTMLCanvasElement} sourceImage - Full resolution source
+     * @param {Function} onComplete - (result, { source, corners }) with corners in source space
+     * @param {Function} onCancel
+     * @param {Object} initialCorners - Optional {tl, tr, br, bl} in source space (re-crop)
      */
-    init(sourceImage, onComplete, onCancel) {
+    init(sourceImage, onComplete, onCancel, initialCorners = null) {
         this.image = sourceImage;
         this.onComplete = onComplete;
         this.onCancel = onCancel;
@@ -42,7 +46,7 @@ const CropManager = {
         this.setupDimensions();
         
         // Initialize corners
-        this.initCorners();
+        this.initCorners(initialCorners);
         
         // Setup touch/mouse handlers
         this.setupHandlers();
@@ -80,9 +84,20 @@ const CropManager = {
     },
     
     /**
-     * Initialize corners with margin
+     * Initialize corners with margin (or from previous crop)
      */
-    initCorners() {
+    initCorners(initialCorners) {
+        if (initialCorners) {
+            const s = this.displayScale;
+            this.corners = {
+                tl: { x: initialCorners.tl.x * s, y: initialCorners.tl.y * s },
+                tr: { x: initialCorners.tr.x * s, y: initialCorners.tr.y * s },
+                br: { x: initialCorners.br.x * s, y: initialCorners.br.y * s },
+                bl: { x: initialCorners.bl.x * s, y: initialCorners.bl.y * s }
+            };
+            return;
+        }
+        
         const w = this.canvas.width;
         const h = this.canvas.height;
         const m = this.CONFIG.MARGIN;
@@ -267,32 +282,17 @@ const CropManager = {
             bl: { x: this.corners.bl.x * scale, y: this.corners.bl.y * scale }
         };
         
-        // Apply perspective correction
-        let result;
-        try {
-            if (typeof ImageProcessor !== 'undefined') {
-                result = ImageProcessor.perspectiveCorrect(this.image, scaledCorners);
-                console.log('✂️ Perspective correction done');
-                
-                // Apply edge cleanup
-                if (typeof ImageProcessor.cleanEdges === 'function') {
-                    result = ImageProcessor.cleanEdges(result);
-                    console.log('✂️ Edge cleanup done');
-                }
-            } else {
-                result = this.image;
-            }
-        } catch (err) {
-            console.error('Crop perspective failed:', err);
-            result = this.image;
-        }
+        // Apply perspective correction + edge cleanup
+        const source = this.image;
+        const result = ImageProcessor.correctDocument(source, scaledCorners);
+        console.log('✂️ Perspective correction done');
         
         const callback = this.onComplete;
         this.cleanup();
         
         if (callback) {
             console.log('✂️ Calling onComplete callback');
-            callback(result);
+            callback(result, { source, corners: scaledCorners });
         }
     },
     
@@ -0,0 +1,169 @@
+/**
+ * Detection Client
+ * Main-thread side of the detection worker (js/detect-worker.js)
+ *
+ * Preview frames go over as ImageBitmaps (transferred), corners and the
+ * frame's pixels come back. Also paces the preview loop: frames are spaced
+ * by the measured detection latency so slow devices keep a responsive UI.
+ *
+ * One frame at a time: while the worker is busy (a frame past TIMEOUT_MS)
+ * new frames are skipped rather than detected again on the main thread.
+ *
+ * Without Worker / OffscreenCanvas / createImageBitmap support, or when the
+ * worker cannot load OpenCV or hangs, isReady() stays false and App detects
+ * on the main thread as before.
+ */
+
+const DetectionClient = {
+
+    worker: null,
+    ready: false,
+    pending: new Map(),     // id → { resolve, timer, sent, timedOut }
+    nextId: 1,
+    latency: 0,             // Smoothed ms per frame (0 = not measured yet)
+
+    /**
+     * Start the worker
+     * @returns {boolean} false = detection stays on the main thread
+     */
+    init() {
+        const supported = typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+        if (!CONFIG.DETECT_WORKER.ENABLED || !supported) return false;
+
+        try {
+            this.worker = new Worker(CONFIG.DETECT_WORKER.SCRIPT);
+        } catch (err) {
+            console.warn('⚠️ Detection worker unavailable:', err);
+            return false;
+        }
+
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (err) => {
+            console.error('❌ Detection worker error:', err);
+            this.fail();
+        };
+        this.worker.postMessage({ type: 'init' });
+        return true;
+    },
+
+    isReady() {
+        return this.ready;
+    },
+
+    /**
+     * Detect on the current video frame in the worker
+     * @param {HTMLVideoElement} video
+     * @param {number} width - Detection frame size
+     * @param {number} height
+     * @param {string} mode - 'single' | 'multi'
+     * @returns {Promise<Object|null>} { imageData, width, height, corners, quads },
+     *          null = no result for this frame (busy, timeout, error) - skip it
+     */
+    async detect(video, width, height, mode) {
+        const cfg = CONFIG.DETECT_WORKER;
+
+        // Earlier frame still in the worker - don't queue behind it
+        if (this.pending.size) {
+            const oldest = Math.min(...[...this.pending.values()].map(job => job.sent));
+            if (performance.now() - oldest > cfg.STALL_MS) {
+                console.warn('⚠️ Detection worker stalled - detecting on the main thread');
+                this.fail();
+            }
+            return null;
+        }
+
+        const bitmap = await createImageBitmap(video, {
+            resizeWidth: width,
+            resizeHeight: height,
+            resizeQuality: 'low'
+        });
+        if (!this.ready) {
+            bitmap.close();
+            return null;
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve) => {
+            const job = { resolve, sent: performance.now(), timedOut: false };
+            job.timer = setTimeout(() => {
+                // Stays pending - the worker is still busy with it
+                job.timedOut = true;
+                console.warn('⚠️ Detection worker timed out - skipping frames until it answers');
+                resolve(null);
+            }, cfg.TIMEOUT_MS);
+
+            this.pending.set(id, job);
+            this.worker.postMessage({ type: 'detect', id, bitmap, width, height, mode }, [bitmap]);
+        });
+    },
+
+    handleMessage(msg) {
+        if (msg.type === 'ready') {
+            this.ready = msg.opencv;
+            console.log(`🧵 Detection worker: OpenCV ${msg.opencv ? '✓' : '✗'}, heatmap ${msg.heatmap ? '✓' : '✗'}`);
+            if (!msg.opencv) this.fail();
+            return;
+        }
+
+        const job = this.pending.get(msg.id);
+        if (!job) return;
+        this.pending.delete(msg.id);
+        clearTimeout(job.timer);
+        if (job.timedOut) return;       // Frame is stale, the loop moved on
+
+        if (msg.type === 'error') {
+            console.warn('Worker detection failed:', msg.message);
+            job.resolve(null);
+            return;
+        }
+
+        job.resolve({
+            imageData: new ImageData(new Uint8ClampedArray(msg.pixels), msg.width, msg.height),
+            width: msg.width,
+            height: msg.height,
+            corners: msg.corners,
+            quads: msg.quads
+        });
+    },
+
+    /**
+     * Stop using the worker - the main thread takes over detection, with
+     * its own heatmap session and a fresh tracker (the main-thread one has
+     * not seen the worker's frames)
+     */
+    fail() {
+        this.ready = false;
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+
+        for (const job of this.pending.values()) {
+            clearTimeout(job.timer);
+            job.resolve(null);
+        }
+        this.pending.clear();
+
+        CornerTracker.reset();
+        if (!HeatmapDetector.isReady()) HeatmapDetector.init();
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // FRAME PACING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Pause before the next preview frame
+     * @param {number} elapsed - ms the last frame took (worker or main thread)
+     * @returns {number} ms
+     */
+    nextDelay(elapsed) {
+        const cfg = CONFIG.DETECT_WORKER;
+        this.latency = this.latency
+            ? this.latency + (elapsed - this.latency) * cfg.LATENCY_SMOOTHING
+            : elapsed;
+
+        return Math.min(cfg.MAX_FRAME_INTERVAL_MS,
+            Math.max(cfg.MIN_FRAME_INTERVAL_MS, this.latency * cfg.PACING_FACTOR));
+    }
+};
@@ -0,0 +1,106 @@
+/**
+ * Detection Worker
+ * Runs the preview detection pipeline (Detector) off the main thread with
+ * its own OpenCV runtime and ONNX session
+ *
+ * In:  { type: 'init' }
+ *      { type: 'detect', id, bitmap, width, height, mode: 'single' | 'multi' }
+ * Out: { type: 'ready', opencv, heatmap }
+ *      { type: 'result', id, corners, quads, pixels, width, height }
+ *      { type: 'error', id, message }
+ *
+ * The frame's pixels go back with the result (transferred, not copied) -
+ * the main thread keeps them as lastFrame for guidance and re-arming.
+ */
+
+importScripts('config.js', 'geometry.js', 'opencv-detect.js', 'heatmap.js', 'edge-fit.js', 'tracker.js', 'detector.js');
+
+const DetectWorker = {
+
+    canvas: null,
+    ctx: null,
+    ready: null,
+
+    async init() {
+        const cfg = CONFIG.DETECT_WORKER;
+
+        try {
+            importScripts(cfg.OPENCV_PATH);
+            await this.waitForOpenCV();
+            self.cvReady = true;
+            OpenCVDetector.init();
+        } catch (err) {
+            console.error('❌ Worker: OpenCV failed to load:', err);
+        }
+
+        try {
+            importScripts(cfg.ORT_URL);
+            // Runtime files next to the script; no nested threads inside a worker
+            ort.env.wasm.wasmPaths = cfg.ORT_URL.replace(/[^/]*$/, '');
+            ort.env.wasm.numThreads = 1;
+            await HeatmapDetector.init(cfg.MODEL_PATH);
+        } catch (err) {
+            console.warn('⚠️ Worker: ONNX Runtime not available:', err);
+        }
+
+        return { opencv: OpenCVDetector.isReady(), heatmap: HeatmapDetector.isReady() };
+    },
+
+    /**
+     * opencv.js builds expose either the module or a promise of it
+     */
+    async waitForOpenCV() {
+        if (typeof cv === 'undefined') throw new Error('cv missing');
+        if (typeof cv.then === 'function') {
+            self.cv = await cv;
+            return;
+        }
+        if (typeof cv.Mat !== 'undefined') return;
+
+        await new Promise((resolve) => {
+            cv.onRuntimeInitialized = resolve;
+        });
+    },
+
+    async detect({ id, bitmap, width, height, mode }) {
+        if (!this.canvas) {
+            this.canvas = new OffscreenCanvas(width, height);
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) this.canvas.height = height;
+
+        this.ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+        const imageData = this.ctx.getImageData(0, 0, width, height);
+
+        const result = { type: 'result', id, width, height, corners: null, quads: null };
+        if (mode === 'multi') {
+            result.quads = Detector.detectAll(imageData, width, height);
+        } else {
+            result.corners = await Detector.detect(imageData, width, height);
+        }
+
+        result.pixels = imageData.data.buffer;
+        self.postMessage(result, [result.pixels]);
+    },
+
+    async handle(msg) {
+        if (msg.type === 'init') {
+            if (!this.ready) this.ready = this.init();
+            self.postMessage({ type: 'ready', ...await this.ready });
+            return;
+        }
+
+        if (msg.type === 'detect') {
+            try {
+                await this.detect(msg);
+            } catch (err) {
+                if (msg.bitmap) msg.bitmap.close();
+                self.postMessage({ type: 'error', id: msg.id, message: err.message });
+            }
+        }
+    }
+};
+
+self.onmessage = (e) => DetectWorker.handle(e.data);
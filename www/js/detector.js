@@ -0,0 +1,127 @@
+/**
+ * Detector Module
+ * Preview corner detection - OpenCV contours + heatmap CNN, fused per corner,
+ * carried between detections by CornerTracker
+ *
+ * Shared by the detection worker (js/detect-worker.js) and the main
+ * thread, which runs it itself when the worker is unavailable.
+ */
+
+const Detector = {
+
+    /**
+     * Best single document in the frame
+     * @param {ImageData} imageData
+     * @param {number} w - Width
+     * @param {number} h - Height
+     * @returns {Promise<Object|null>} Corners {tl, tr, br, bl, _confidence, _cornerConfidences}
+     *          in frame coordinates
+     */
+    async detect(imageData, w, h) {
+        const tracked = CornerTracker.track(imageData, w, h);
+        if (!CornerTracker.needsDetection()) return tracked;
+
+        return CornerTracker.update(await this.detectFresh(imageData, w, h));
+    },
+
+    /**
+     * Run both detectors on this frame (no tracking)
+     */
+    async detectFresh(imageData, w, h) {
+        const opencvResult = EdgeFitter.refine(OpenCVDetector.detect(imageData, w, h), imageData);
+
+        let heatmapResult = null;
+        if (HeatmapDetector.isReady()) {
+            heatmapResult = await HeatmapDetector.detect(imageData, w, h);
+            if (heatmapResult) {
+                heatmapResult = Geometry.validate(heatmapResult, w, h);
+            }
+        }
+
+        if (!opencvResult && !heatmapResult) return null;
+
+        const [opencvSupport, heatmapSupport] = OpenCVDetector.cornerSupport([opencvResult, heatmapResult], imageData, w, h);
+        return this.fuse(
+            opencvResult && { corners: opencvResult, support: opencvSupport },
+            heatmapResult && { corners: heatmapResult, support: heatmapSupport }
+        );
+    },
+
+    /**
+     * Every document in the frame (multi mode)
+     * @returns {Object[]} Quads in frame coordinates
+     */
+    detectAll(imageData, w, h) {
+        return OpenCVDetector.detectAll(imageData, w, h).map(quad => EdgeFitter.refine(quad, imageData));
+    },
+
+    /**
+     * Combine the detectors corner by corner
+     *
+     * Corner score: OpenCV = OPENCV_PRIOR × edge support, heatmap = its
+     * corner confidence × edge support (ambiguous corners score 0). Agreeing
+     * corners are averaged by score; disagreeing ones go to the higher score,
+     * penalized. Weak corners are left to RectangleMath's 3-corner completion.
+     * An OpenCV-only corner keeps at least OPENCV_FLOOR: faint edge support
+     * alone does not mark a contour corner as wrong.
+     *
+     * @param {Object|null} opencv - { corners, support }
+     * @param {Object|null} heatmap - { corners, support }
+     * @returns {Object|null} {tl, tr, br, bl, _confidence, _cornerConfidences}
+     */
+    fuse(opencv, heatmap) {
+        const cfg = CONFIG.FUSION;
+
+        // Heatmap alone only rescues a confident detection with at most one
+        // unusable corner (completed from the other three)
+        if (heatmap && !opencv && (
+            heatmap.corners._confidence < CONFIG.HEATMAP.CONFIDENCE_RESCUE ||
+            heatmap.corners._ambiguous.length > 1
+        )) {
+            heatmap = null;
+        }
+        if (!opencv && !heatmap) return null;
+
+        const score = (source, key, prior) => source
+            ? prior * (source.support ? source.support[key] : 1)
+            : 0;
+
+        const fused = { _cornerConfidences: {} };
+        for (const key of ['tl', 'tr', 'br', 'bl']) {
+            const o = score(opencv, key, cfg.OPENCV_PRIOR);
+            const hm = score(heatmap, key, heatmap ? heatmap.corners._cornerConfidences[key] : 0);
+
+            let point;
+            let confidence;
+            if (!heatmap) {
+                point = opencv.corners[key];
+                confidence = Math.max(o, cfg.OPENCV_FLOOR);
+            } else if (!opencv) {
+                point = heatmap.corners[key];
+                confidence = hm;
+            } else {
+                const a = opencv.corners[key];
+                const b = heatmap.corners[key];
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+
+                if (distance < CONFIG.CORNER.AGREEMENT_DISTANCE) {
+                    const total = o + hm;
+                    point = total > 0
+                        ? { x: (a.x * o + b.x * hm) / total, y: (a.y * o + b.y * hm) / total }
+                        : { x: a.x, y: a.y };
+                    confidence = 1 - (1 - o) * (1 - hm);
+                } else {
+                    point = o >= hm ? a : b;
+                    confidence = Math.max(o, hm) * cfg.DISAGREEMENT_PENALTY;
+                }
+            }
+
+            fused[key] = { x: point.x, y: point.y };
+            fused._cornerConfidences[key] = confidence;
+        }
+
+        const values = Object.values(fused._cornerConfidences);
+        fused._confidence = values.reduce((sum, v) => sum + v, 0) / values.length;
+        return fused;
+    }
+};
@@ -0,0 +1,502 @@
+/**
+ * Dewarp Module
+ * Flattens curved book pages after perspective correction
+ *
+ * - CNN (CONFIG.DEWARP.MODEL_PATH, ONNX Runtime):
+ *     input  [1, 3, S, S] RGB 0-1 (page squashed to S×S)
+ *     output [1, 2, S, S] backward offsets (dx, dy) in input pixels,
+ *            clamped to ±MAX_DISPLACEMENT
+ * - Fallback when the model file is absent: cylinder model fitted to text
+ *   lines. Line shift across the page is measured per horizontal band,
+ *   fitted with a quadratic, and used both to straighten the lines and to
+ *   stretch the foreshortened part of the page near the spine.
+ *
+ * Both produce a coarse grid of source positions that remap() interpolates.
+ */
+
+const Dewarper = {
+
+    session: null,
+    modelReady: false,
+    modelTried: false,
+    loading: null,
+
+    /**
+     * Load the CNN (once, lazily - only book mode needs it)
+     * @returns {Promise<boolean>} false = use the text-line fallback
+     */
+    async init() {
+        if (this.modelReady) return true;
+        if (this.modelTried || !CONFIG.DEWARP.ENABLED || typeof ort === 'undefined') return false;
+        if (this.loading) return this.loading;
+
+        this.loading = this.load().finally(() => {
+            this.loading = null;
+        });
+        return this.loading;
+    },
+
+    async load() {
+        this.modelTried = true;
+
+        try {
+            console.log('📖 Loading dewarp model...');
+            this.session = await ort.InferenceSession.create(CONFIG.DEWARP.MODEL_PATH, {
+                executionProviders: ['wasm'],
+                graphOptimizationLevel: 'all'
+            });
+
+            this.modelReady = true;
+            console.log('✅ Dewarp model loaded');
+            return true;
+        } catch (err) {
+            console.warn('⚠️ Dewarp model not available - using text-line fallback:', err);
+            this.session = null;
+            this.modelReady = false;
+            return false;
+        }
+    },
+
+    isReady() {
+        return this.modelReady;
+    },
+
+    /**
+     * Flatten a perspective-corrected page
+     * @param {HTMLCanvasElement} canvas
+     * @returns {Promise<HTMLCanvasElement>} New canvas (input if no curvature found)
+     */
+    async dewarp(canvas) {
+        let grid = null;
+
+        if (await this.init()) {
+            try {
+                grid = await this.predictGrid(canvas);
+            } catch (err) {
+                console.warn('Dewarp model failed, using fallback:', err);
+            }
+        }
+
+        if (!grid) grid = this.estimateGrid(canvas);
+
+        if (!grid) {
+            console.log('📖 No page curvature found');
+            return canvas;
+        }
+
+        console.log(`📖 Dewarped (${grid.source})`);
+        return this.remap(canvas, grid);
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // CNN
+    // ═══════════════════════════════════════════════════════════════
+
+    async predictGrid(canvas) {
+        const size = CONFIG.DEWARP.INPUT_SIZE;
+        const maxDisplacement = CONFIG.DEWARP.MAX_DISPLACEMENT;
+
+        const small = document.createElement('canvas');
+        small.width = size;
+        small.height = size;
+        const ctx = small.getContext('2d');
+        ctx.drawImage(canvas, 0, 0, size, size);
+        const pixels = ctx.getImageData(0, 0, size, size).data;
+
+        const plane = size * size;
+        const input = new Float32Array(plane * 3);
+        for (let i = 0; i < plane; i++) {
+            input[i] = pixels[i * 4] / 255;
+            input[i + plane] = pixels[i * 4 + 1] / 255;
+            input[i + plane * 2] = pixels[i * 4 + 2] / 255;
+        }
+
+        const tensor = new ort.Tensor('float32', input, [1, 3, size, size]);
+        const results = await this.session.run({ [this.session.inputNames[0]]: tensor });
+        const field = results[this.session.outputNames[0]].data;
+
+        const clamp = (v) => Math.max(-maxDisplacement, Math.min(maxDisplacement, v));
+        const scaleX = (canvas.width - 1) / (size - 1);
+        const scaleY = (canvas.height - 1) / (size - 1);
+        const x = new Float32Array(plane);
+        const y = new Float32Array(plane);
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const i = row * size + col;
+                x[i] = (col + clamp(field[i])) * scaleX;
+                y[i] = (row + clamp(field[plane + i])) * scaleY;
+            }
+        }
+
+        return { cols: size, rows: size, x, y, source: 'model' };
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // TEXT-LINE FALLBACK (cylinder model)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * @returns {Object|null} Remap grid, null if no usable text lines / flat page
+     */
+    estimateGrid(canvas) {
+        const cfg = CONFIG.DEWARP;
+        const work = ImageProcessor.resize(canvas, cfg.WORK_SIZE);
+        const w = work.width;
+        const h = work.height;
+        const ink = this.inkMask(work);
+
+        // Line shift as a function of x, per band (curvature changes top → bottom)
+        const bands = [];
+        const bandHeight = Math.floor(h / cfg.BANDS);
+        for (let b = 0; b < cfg.BANDS; b++) {
+            const y0 = b * bandHeight;
+            const y1 = b === cfg.BANDS - 1 ? h : y0 + bandHeight;
+            const curve = this.bandCurve(ink, w, h, y0, y1);
+            if (curve) bands.push({ y: (y0 + y1) / 2, ...curve });
+        }
+
+        if (bands.length === 0) return null;
+
+        // Largest line displacement (work pixels) - flat or implausible = leave alone
+        const amplitude = Math.max(...bands.map(band =>
+            Math.max(Math.abs(band.a + band.b), Math.abs(band.a - band.b))));
+        if (amplitude < cfg.MIN_AMPLITUDE || amplitude > cfg.MAX_AMPLITUDE * h) return null;
+
+        const sourceX = this.arcLengthTable(bands, w, cfg.GRID);
+        const scaleY = canvas.height / h;
+        const cols = cfg.GRID;
+        const rows = cfg.GRID;
+        const x = new Float32Array(cols * rows);
+        const y = new Float32Array(cols * rows);
+
+        for (let row = 0; row < rows; row++) {
+            const outY = row / (rows - 1) * (canvas.height - 1);
+            const { a, b } = this.curveAt(bands, outY / scaleY);
+
+            for (let col = 0; col < cols; col++) {
+                const fx = sourceX[col];
+                const u = fx * 2 - 1;
+                const i = row * cols + col;
+                x[i] = fx * (canvas.width - 1);
+                y[i] = outY + (a * u * u + b * u) * scaleY;
+            }
+        }
+
+        return { cols, rows, x, y, source: 'text lines' };
+    },
+
+    /**
+     * Dark pixels (text) of the downscaled page
+     */
+    inkMask(canvas) {
+        const { width, height } = canvas;
+        const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const gray = new Float32Array(width * height);
+        let mean = 0;
+
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            mean += gray[i];
+        }
+        mean /= gray.length;
+
+        const threshold = mean * CONFIG.DEWARP.INK_RATIO;
+        const ink = new Uint8Array(gray.length);
+        for (let i = 0; i < gray.length; i++) {
+            ink[i] = gray[i] < threshold ? 1 : 0;
+        }
+        return ink;
+    },
+
+    /**
+     * Fit shift(u) = a·u² + b·u (u = -1 left edge .. 1 right edge) for one band
+     * by matching row ink profiles of neighbouring vertical strips
+     */
+    bandCurve(ink, w, h, y0, y1) {
+        const cfg = CONFIG.DEWARP;
+        const strips = cfg.STRIPS;
+        const length = y1 - y0;
+        const profiles = [];
+        const inked = [];
+
+        for (let s = 0; s < strips; s++) {
+            const x0 = Math.floor(s * w / strips);
+            const x1 = Math.floor((s + 1) * w / strips);
+            const profile = new Float32Array(length);
+            let total = 0;
+
+            for (let y = 0; y < length; y++) {
+                let count = 0;
+                const row = (y0 + y) * w;
+                for (let x = x0; x < x1; x++) count += ink[row + x];
+                profile[y] = count;
+                total += count;
+            }
+
+            profiles.push(this.smooth(profile));
+            inked.push(total / ((x1 - x0) * length) >= cfg.MIN_INK);
+        }
+
+        const mid = strips >> 1;
+        if (!inked[mid]) return null;
+
+        const maxShift = Math.max(2, Math.round(cfg.MAX_SHIFT * h));
+        const shifts = new Float32Array(strips);
+        const weights = new Float32Array(strips);
+        weights[mid] = 1;
+
+        // Walk outwards from the middle, chaining neighbour shifts
+        for (const dir of [-1, 1]) {
+            let prev = mid;
+            for (let s = mid + dir; s >= 0 && s < strips; s += dir) {
+                if (!inked[s]) continue;
+
+                const match = this.matchProfiles(profiles[prev], profiles[s], maxShift * Math.abs(s - prev));
+                if (match.score < cfg.MIN_CORRELATION) continue;
+
+                shifts[s] = shifts[prev] + match.shift;
+                weights[s] = match.score;
+                prev = s;
+            }
+        }
+
+        const us = [];
+        const vs = [];
+        const ws = [];
+        for (let s = 0; s < strips; s++) {
+            if (weights[s] > 0) {
+                us.push(((s + 0.5) / strips) * 2 - 1);
+                vs.push(shifts[s]);
+                ws.push(weights[s]);
+            }
+        }
+        if (us.length < cfg.MIN_STRIPS) return null;
+
+        const fit = this.fitQuadratic(us, vs, ws);
+        return fit ? { a: fit[0], b: fit[1] } : null;
+    },
+
+    /**
+     * Shift of cur relative to ref maximizing normalized cross-correlation
+     * @returns {{ shift: number, score: number }} shift with sub-pixel refinement
+     */
+    matchProfiles(ref, cur, maxShift) {
+        const scores = new Float32Array(maxShift * 2 + 1).fill(-1);
+        let best = 0;
+
+        for (let d = -maxShift; d <= maxShift; d++) {
+            let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0, n = 0;
+            const start = Math.max(0, -d);
+            const end = Math.min(ref.length, cur.length - d);
+
+            for (let y = start; y < end; y++) {
+                const a = ref[y];
+                const b = cur[y + d];
+                sa += a; sb += b;
+                saa += a * a; sbb += b * b; sab += a * b;
+                n++;
+            }
+            if (n < 2) continue;
+
+            const cov = sab - sa * sb / n;
+            const varA = saa - sa * sa / n;
+            const varB = sbb - sb * sb / n;
+            if (varA <= 0 || varB <= 0) continue;
+
+            scores[d + maxShift] = cov / Math.sqrt(varA * varB);
+            if (scores[d + maxShift] > scores[best]) best = d + maxShift;
+        }
+
+        // Parabola through the peak and its neighbours
+        let shift = best - maxShift;
+        if (best > 0 && best < scores.length - 1) {
+            const l = scores[best - 1], c = scores[best], r = scores[best + 1];
+            const denom = l - 2 * c + r;
+            if (denom < 0) shift += 0.5 * (l - r) / denom;
+        }
+
+        return { shift, score: scores[best] };
+    },
+
+    smooth(profile) {
+        const out = new Float32Array(profile.length);
+        for (let i = 0; i < profile.length; i++) {
+            const l = profile[Math.max(0, i - 1)];
+            const r = profile[Math.min(profile.length - 1, i + 1)];
+            out[i] = (l + 2 * profile[i] + r) / 4;
+        }
+        return out;
+    },
+
+    /**
+     * Weighted least squares v = a·u² + b·u + c
+     * @returns {number[]|null} [a, b, c]
+     */
+    fitQuadratic(us, vs, ws) {
+        // Normal equations: sums of w·u^k and w·v·u^k
+        const s = [0, 0, 0, 0, 0];
+        const t = [0, 0, 0];
+        for (let i = 0; i < us.length; i++) {
+            let p = ws[i];
+            for (let k = 0; k <= 4; k++) {
+                s[k] += p;
+                if (k <= 2) t[k] += p * vs[i];
+                p *= us[i];
+            }
+        }
+
+        // Rows for unknowns [a, b, c] (powers 2, 1, 0)
+        const m = [
+            [s[4], s[3], s[2], t[2]],
+            [s[3], s[2], s[1], t[1]],
+            [s[2], s[1], s[0], t[0]]
+        ];
+
+        // Gaussian elimination with partial pivoting
+        for (let col = 0; col < 3; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < 3; r++) {
+                if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+            }
+            if (Math.abs(m[pivot][col]) < 1e-9) return null;
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+
+            for (let r = 0; r < 3; r++) {
+                if (r === col) continue;
+                const f = m[r][col] / m[col][col];
+                for (let k = col; k < 4; k++) m[r][k] -= f * m[col][k];
+            }
+        }
+
+        return [m[0][3] / m[0][0], m[1][3] / m[1][1], m[2][3] / m[2][2]];
+    },
+
+    /**
+     * Band curve at height y (work pixels), linear between band centres
+     */
+    curveAt(bands, y) {
+        if (y <= bands[0].y) return bands[0];
+
+        for (let i = 1; i < bands.length; i++) {
+            if (y <= bands[i].y) {
+                const t = (y - bands[i - 1].y) / (bands[i].y - bands[i - 1].y);
+                return {
+                    a: bands[i - 1].a + (bands[i].a - bands[i - 1].a) * t,
+                    b: bands[i - 1].b + (bands[i].b - bands[i - 1].b) * t
+                };
+            }
+        }
+
+        return bands[bands.length - 1];
+    },
+
+    /**
+     * Source x (0-1) for each output grid column - equal steps of arc length
+     * along the page surface, with the mean line shift as surface height
+     */
+    arcLengthTable(bands, w, cols) {
+        const samples = 256;
+        const a = bands.reduce((sum, band) => sum + band.a, 0) / bands.length;
+        const b = bands.reduce((sum, band) => sum + band.b, 0) / bands.length;
+        const gain = CONFIG.DEWARP.ARC_GAIN;
+
+        // Cumulative arc length at each sample (slope in work pixels per pixel)
+        const length = new Float32Array(samples + 1);
+        for (let i = 1; i <= samples; i++) {
+            const u = ((i - 0.5) / samples) * 2 - 1;
+            const slope = gain * (2 * a * u + b) * 2 / w;
+            length[i] = length[i - 1] + Math.sqrt(1 + slope * slope);
+        }
+
+        const table = new Float32Array(cols);
+        let i = 1;
+        for (let col = 0; col < cols; col++) {
+            const target = col / (cols - 1) * length[samples];
+            while (i < samples && length[i] < target) i++;
+
+            const span = length[i] - length[i - 1];
+            const t = span > 0 ? (target - length[i - 1]) / span : 0;
+            table[col] = Math.min(1, Math.max(0, (i - 1 + t) / samples));
+        }
+
+        return table;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // REMAP
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Resample the page through a grid of source positions (bilinear)
+     * @param {Object} grid - { cols, rows, x, y } source pixel per node,
+     *   nodes spread evenly over the output image
+     */
+    remap(canvas, grid) {
+        const { width, height } = canvas;
+        const src = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+        const out = document.createElement('canvas');
+        out.width = width;
+        out.height = height;
+        const outCtx = out.getContext('2d');
+        const result = outCtx.createImageData(width, height);
+        const dst = result.data;
+
+        const { cols, rows } = grid;
+        const rowX = new Float32Array(cols);
+        const rowY = new Float32Array(cols);
+
+        // Grid column + weight per output x
+        const colIndex = new Int32Array(width);
+        const colWeight = new Float32Array(width);
+        for (let x = 0; x < width; x++) {
+            const gx = width > 1 ? x * (cols - 1) / (width - 1) : 0;
+            colIndex[x] = Math.min(cols - 2, Math.floor(gx));
+            colWeight[x] = gx - colIndex[x];
+        }
+
+        const maxX = width - 1.001;
+        const maxY = height - 1.001;
+
+        for (let y = 0; y < height; y++) {
+            // Interpolate the two grid rows around y once per output row
+            const gy = height > 1 ? y * (rows - 1) / (height - 1) : 0;
+            const r0 = Math.min(rows - 2, Math.floor(gy));
+            const fy = gy - r0;
+            for (let c = 0; c < cols; c++) {
+                const i0 = r0 * cols + c;
+                const i1 = i0 + cols;
+                rowX[c] = grid.x[i0] + (grid.x[i1] - grid.x[i0]) * fy;
+                rowY[c] = grid.y[i0] + (grid.y[i1] - grid.y[i0]) * fy;
+            }
+
+            for (let x = 0; x < width; x++) {
+                const c = colIndex[x];
+                const fx = colWeight[x];
+                const sx = Math.max(0, Math.min(maxX, rowX[c] + (rowX[c + 1] - rowX[c]) * fx));
+                const sy = Math.max(0, Math.min(maxY, rowY[c] + (rowY[c + 1] - rowY[c]) * fx));
+
+                const x0 = sx | 0;
+                const y0 = sy | 0;
+                const wx = sx - x0;
+                const wy = sy - y0;
+                const i00 = (y0 * width + x0) * 4;
+                const i10 = i00 + 4;
+                const i01 = i00 + width * 4;
+                const i11 = i01 + 4;
+                const o = (y * width + x) * 4;
+
+                for (let ch = 0; ch < 3; ch++) {
+                    const top = src[i00 + ch] + (src[i10 + ch] - src[i00 + ch]) * wx;
+                    const bottom = src[i01 + ch] + (src[i11 + ch] - src[i01 + ch]) * wx;
+                    dst[o + ch] = top + (bottom - top) * wy;
+                }
+                dst[o + 3] = 255;
+            }
+        }
+
+        outCtx.putImageData(result, 0, 0);
+        return out;
+    }
+};
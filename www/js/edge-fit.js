@@ -0,0 +1,204 @@
+/**
+ * Edge Fit Module
+ * Precise corners from straight lines fitted to the four document edges
+ *
+ * approxPolyDP on a dilated Canny image rounds corners and pulls them in
+ * or out. Here each side is sampled along its middle part: at every sample
+ * the strongest gradient across the side (sub-pixel) is an edge point; a
+ * RANSAC line through those points, refined by total least squares, is the
+ * side. Adjacent sides intersect in the corner.
+ *
+ * Used on the preview frame (Detector) and on the capture (CaptureRefiner).
+ * No DOM access - also runs in the detection worker.
+ */
+
+const EdgeFitter = {
+
+    KEYS: ['tl', 'tr', 'br', 'bl'],
+
+    // Side i runs from corner SIDES[i][0] to SIDES[i][1]
+    SIDES: [['tl', 'tr'], ['tr', 'br'], ['br', 'bl'], ['bl', 'tl']],
+
+    /**
+     * @param {Object} quad - {tl, tr, br, bl} in image coordinates
+     * @param {ImageData} image - RGBA pixels
+     * @returns {Object} Refined quad (extra fields kept)
+     */
+    refine(quad, image) {
+        if (!CONFIG.EDGE_FIT.ENABLED || !quad) return quad;
+        return this.fit(quad, image).corners;
+    },
+
+    /**
+     * @returns {{ corners: Object, fitted: Object }} fitted[key] = corner came from two lines
+     */
+    fit(quad, image) {
+        const cfg = CONFIG.EDGE_FIT;
+        const diagonal = Math.hypot(image.width, image.height);
+        const search = Math.max(cfg.MIN_SEARCH, cfg.SEARCH_RATIO * diagonal);
+
+        const lines = this.SIDES.map(([a, b]) => this.fitSide(image, quad[a], quad[b], search));
+
+        const corners = { ...quad };
+        const fitted = {};
+        for (const key of this.KEYS) {
+            fitted[key] = false;
+
+            // Corner key is the end of one side and the start of the next
+            const into = this.SIDES.findIndex(side => side[1] === key);
+            const out = this.SIDES.findIndex(side => side[0] === key);
+            if (!lines[into] || !lines[out]) continue;
+
+            const point = this.intersect(lines[into], lines[out]);
+            if (!point || Math.hypot(point.x - quad[key].x, point.y - quad[key].y) > search * cfg.MAX_SHIFT) continue;
+
+            corners[key] = point;
+            fitted[key] = true;
+        }
+
+        return { corners, fitted };
+    },
+
+    /**
+     * Line through the edge between two corners
+     * @returns {Object|null} { px, py, dx, dy } point + unit direction, null = no clear edge
+     */
+    fitSide(image, a, b, search) {
+        const cfg = CONFIG.EDGE_FIT;
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length < 2 * search) return null;
+
+        const dx = (b.x - a.x) / length;
+        const dy = (b.y - a.y) / length;
+        const nx = -dy, ny = dx;
+
+        // Strongest step across the side at each sample (ends skipped - rounded corners)
+        const points = [];
+        for (let i = 0; i < cfg.SAMPLES; i++) {
+            const t = cfg.END_MARGIN + (1 - 2 * cfg.END_MARGIN) * i / (cfg.SAMPLES - 1);
+            const cx = a.x + (b.x - a.x) * t;
+            const cy = a.y + (b.y - a.y) * t;
+
+            const offset = this.edgeOffset(image, cx, cy, nx, ny, search);
+            if (offset !== null) points.push({ x: cx + nx * offset, y: cy + ny * offset });
+        }
+
+        if (points.length < cfg.SAMPLES * cfg.MIN_INLIER_RATIO) return null;
+
+        const inliers = this.ransac(points);
+        if (inliers.length < cfg.SAMPLES * cfg.MIN_INLIER_RATIO) return null;
+
+        return this.leastSquares(inliers);
+    },
+
+    /**
+     * Offset along the normal with the largest gradient (parabolic sub-pixel)
+     * @returns {number|null} null = no gradient above MIN_GRADIENT
+     */
+    edgeOffset(image, cx, cy, nx, ny, search) {
+        const steps = Math.ceil(search);
+        const profile = [];
+        for (let s = -steps - 1; s <= steps + 1; s++) {
+            profile.push(this.luma(image, cx + nx * s, cy + ny * s));
+        }
+
+        let best = -1;
+        let bestValue = CONFIG.EDGE_FIT.MIN_GRADIENT;
+        const gradient = i => Math.abs(profile[i + 1] - profile[i - 1]) / 2;
+        for (let i = 1; i < profile.length - 1; i++) {
+            const g = gradient(i);
+            if (g > bestValue) {
+                bestValue = g;
+                best = i;
+            }
+        }
+        if (best < 0) return null;
+
+        let shift = 0;
+        if (best > 1 && best < profile.length - 2) {
+            const before = gradient(best - 1);
+            const after = gradient(best + 1);
+            const curvature = before - 2 * bestValue + after;
+            if (curvature < 0) shift = Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature)));
+        }
+
+        return best + shift - steps - 1;
+    },
+
+    /**
+     * Largest set of points within INLIER_TOLERANCE of a line through two of them
+     */
+    ransac(points) {
+        const cfg = CONFIG.EDGE_FIT;
+        let best = [];
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;     // Deterministic - same frame, same fit
+            return seed / 2147483647;
+        };
+
+        for (let iter = 0; iter < cfg.RANSAC_ITERATIONS; iter++) {
+            const p = points[Math.floor(random() * points.length)];
+            const q = points[Math.floor(random() * points.length)];
+            const length = Math.hypot(q.x - p.x, q.y - p.y);
+            if (length < 1) continue;
+
+            const nx = -(q.y - p.y) / length;
+            const ny = (q.x - p.x) / length;
+            const inliers = points.filter(r =>
+                Math.abs((r.x - p.x) * nx + (r.y - p.y) * ny) <= cfg.INLIER_TOLERANCE);
+
+            if (inliers.length > best.length) best = inliers;
+        }
+        return best;
+    },
+
+    /**
+     * Total least squares line (principal axis of the points)
+     */
+    leastSquares(points) {
+        let mx = 0, my = 0;
+        for (const p of points) {
+            mx += p.x;
+            my += p.y;
+        }
+        mx /= points.length;
+        my /= points.length;
+
+        let sxx = 0, sxy = 0, syy = 0;
+        for (const p of points) {
+            sxx += (p.x - mx) ** 2;
+            sxy += (p.x - mx) * (p.y - my);
+            syy += (p.y - my) ** 2;
+        }
+
+        const angle = Math.atan2(2 * sxy, sxx - syy) / 2;
+        return { px: mx, py: my, dx: Math.cos(angle), dy: Math.sin(angle) };
+    },
+
+    intersect(l1, l2) {
+        const det = l1.dx * l2.dy - l1.dy * l2.dx;
+        if (Math.abs(det) < 1e-6) return null;      // Parallel
+
+        const t = ((l2.px - l1.px) * l2.dy - (l2.py - l1.py) * l2.dx) / det;
+        return { x: l1.px + t * l1.dx, y: l1.py + t * l1.dy };
+    },
+
+    /**
+     * Bilinear luminance, clamped to the image
+     */
+    luma(image, x, y) {
+        const { data, width, height } = image;
+        x = Math.max(0, Math.min(width - 1.001, x));
+        y = Math.max(0, Math.min(height - 1.001, y));
+        const x0 = Math.floor(x), y0 = Math.floor(y);
+        const fx = x - x0, fy = y - y0;
+
+        const at = (px, py) => {
+            const i = (py * width + px) * 4;
+            return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        };
+        return (at(x0, y0) * (1 - fx) + at(x0 + 1, y0) * fx) * (1 - fy) +
+            (at(x0, y0 + 1) * (1 - fx) + at(x0 + 1, y0 + 1) * fx) * fy;
+    }
+};
@@ -0,0 +1,293 @@
+/**
+ * Export Module
+ * Builds the document in the chosen format and saves / shares the file
+ * With proper Android/Capacitor support
+ *
+ * Formats (CONFIG.EXPORT.FORMATS):
+ *   pdf        - PDFGenerator (page layout, size cap, OCR text layer)
+ *   tiff       - one multi-page TIFF
+ *   png / jpeg - one image per page, bundled in a ZIP
+ * TIFF and images are resampled with the same quality preset as the PDF.
+ */
+
+const Exporter = {
+
+    file: null,     // { blob, url, format } of the last create()
+
+    /**
+     * @param {string} id - Format id (falls back to PDF)
+     * @returns {Object} { id, label, extension, mimeType, ... }
+     */
+    getFormat(id) {
+        const formats = CONFIG.EXPORT.FORMATS;
+        return formats[id] ? { id, ...formats[id] } : { id: 'pdf', ...formats.pdf };
+    },
+
+    /**
+     * Create the export file
+     * @param {Array} pages - Array of { dataUrl, width, height, filter, ocr? }
+     * @param {Object} options - Export options (see CONFIG.PDF.DEFAULTS)
+     * @returns {Promise<Blob>}
+     */
+    async create(pages, options = {}) {
+        if (!pages || pages.length === 0) {
+            throw new Error('No pages to export');
+        }
+
+        const opts = { ...CONFIG.PDF.DEFAULTS, ...options };
+        const format = this.getFormat(opts.format);
+
+        let blob;
+        if (format.id === 'pdf') {
+            blob = await PDFGenerator.create(pages, opts);
+        } else if (format.id === 'tiff') {
+            blob = await this.createTIFF(pages, opts);
+        } else {
+            blob = await this.createImageZip(pages, opts, format);
+        }
+
+        this.clear();
+        this.file = { blob, url: URL.createObjectURL(blob), format };
+
+        return blob;
+    },
+
+    async createTIFF(pages, opts) {
+        const encoded = [];
+
+        for (const page of pages) {
+            const { canvas, dpi } = await this.renderPage(page, opts);
+            encoded.push(TIFFEncoder.encodePage(canvas, {
+                dpi,
+                bitonal: FilterManager.isBitonal(page.filter)
+            }));
+        }
+
+        return TIFFEncoder.build(encoded);
+    },
+
+    async createImageZip(pages, opts, format) {
+        const preset = CONFIG.PDF.PRESETS[opts.preset] || CONFIG.PDF.PRESETS.standard;
+        const digits = Math.max(2, String(pages.length).length);
+        const files = [];
+
+        for (let i = 0; i < pages.length; i++) {
+            const page = pages[i];
+            const { canvas } = await this.renderPage(page, opts);
+
+            let dataUrl;
+            if (format.imageType === 'image/png') {
+                dataUrl = FilterManager.isBitonal(page.filter)
+                    ? await Bitonal.toPNG(canvas)
+                    : canvas.toDataURL('image/png');
+            } else {
+                dataUrl = canvas.toDataURL('image/jpeg', preset.quality || CONFIG.OUTPUT.JPEG_QUALITY);
+            }
+
+            files.push({
+                name: `page-${String(i + 1).padStart(digits, '0')}.${format.imageExtension}`,
+                data: this.dataUrlToBytes(dataUrl)
+            });
+        }
+
+        return ZipArchive.create(files);
+    },
+
+    /**
+     * Page pixels at the preset resolution on paper (never upscaled)
+     * @returns {Promise<{ canvas, dpi }>} dpi - resolution the pixels print at
+     */
+    async renderPage(page, opts) {
+        const preset = CONFIG.PDF.PRESETS[opts.preset] || CONFIG.PDF.PRESETS.standard;
+        const image = await ImageProcessor.loadDataUrl(page.dataUrl);
+        const scale = PDFGenerator.exportScale(page, opts, preset.dpi);
+        const canvas = ImageProcessor.resize(image, Math.round(Math.max(image.width, image.height) * scale));
+        const layout = PDFGenerator.layoutPage(page, opts);
+
+        return { canvas, dpi: Math.max(1, Math.round(canvas.width * 25.4 / layout.imgW)) };
+    },
+
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // SAVE / SHARE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Download file - Works on Android via Capacitor
+     */
+    async download(filename = 'scan.pdf') {
+        if (!this.file) {
+            console.error('No export created yet');
+            return false;
+        }
+
+        try {
+            // Check if Capacitor Filesystem is available (Android app)
+            if (window.Capacitor && window.Capacitor.Plugins && window.Capacitor.Plugins.Filesystem) {
+                return await this.downloadCapacitor(filename);
+            }
+
+            // Fallback: Browser download
+            return this.downloadBrowser(filename);
+
+        } catch (err) {
+            console.error('Download failed:', err);
+            // Ultimate fallback
+            this.downloadBrowser(filename);
+            return false;
+        }
+    },
+
+    /**
+     * Download via Capacitor (Android)
+     */
+    async downloadCapacitor(filename) {
+        const { Filesystem, Directory } = window.Capacitor.Plugins;
+
+        // Convert blob to base64
+        const base64 = await this.blobToBase64(this.file.blob);
+
+        // Save to Documents folder
+        const result = await Filesystem.writeFile({
+            path: filename,
+            data: base64,
+            directory: Directory.Documents,
+            recursive: true
+        });
+
+        console.log(`✅ ${this.file.format.label} saved to:`, result.uri);
+
+        // Show toast
+        if (window.Capacitor.Plugins.Toast) {
+            window.Capacitor.Plugins.Toast.show({
+                text: `${this.file.format.label} saved to Documents/${filename}`,
+                duration: 'long'
+            });
+        }
+
+        return true;
+    },
+
+    /**
+     * Download via browser (fallback)
+     */
+    downloadBrowser(filename) {
+        const a = document.createElement('a');
+        a.href = this.file.url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        return true;
+    },
+
+    /**
+     * Share file via WhatsApp or system share
+     */
+    async share(filename = 'scan.pdf') {
+        if (!this.file) {
+            console.error('No export created yet');
+            return false;
+        }
+
+        try {
+            // Check if Capacitor Share is available (Android app)
+            if (window.Capacitor && window.Capacitor.Plugins && window.Capacitor.Plugins.Share) {
+                return await this.shareCapacitor(filename);
+            }
+
+            // Fallback: Web Share API
+            return await this.shareWebAPI(filename);
+
+        } catch (err) {
+            console.error('Share failed:', err);
+            // Fallback to download
+            await this.download(filename);
+            return false;
+        }
+    },
+
+    /**
+     * Share via Capacitor (Android)
+     */
+    async shareCapacitor(filename) {
+        const { Filesystem, Directory, Share } = window.Capacitor.Plugins;
+
+        // First save the file
+        const base64 = await this.blobToBase64(this.file.blob);
+
+        const fileResult = await Filesystem.writeFile({
+            path: filename,
+            data: base64,
+            directory: Directory.Cache,
+            recursive: true
+        });
+
+        // Now share it
+        await Share.share({
+            title: 'Scanned Document',
+            text: 'Scanned with SmartScanner',
+            url: fileResult.uri,
+            dialogTitle: `Share ${this.file.format.label}`
+        });
+
+        return true;
+    },
+
+    /**
+     * Share via Web Share API
+     */
+    async shareWebAPI(filename) {
+        if (!navigator.share || !navigator.canShare) {
+            throw new Error('Web Share API not available');
+        }
+
+        const file = new File([this.file.blob], filename, { type: this.file.format.mimeType });
+
+        if (!navigator.canShare({ files: [file] })) {
+            throw new Error(`Cannot share ${this.file.format.label} files`);
+        }
+
+        await navigator.share({
+            files: [file],
+            title: 'Scanned Document',
+            text: 'Scanned with SmartScanner'
+        });
+
+        return true;
+    },
+
+    /**
+     * Convert Blob to Base64
+     */
+    blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => {
+                // Remove data URL prefix
+                const base64 = reader.result.split(',')[1];
+                resolve(base64);
+            };
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    },
+
+    /**
+     * Clear stored export
+     */
+    clear() {
+        if (this.file) {
+            URL.revokeObjectURL(this.file.url);
+        }
+        this.file = null;
+    }
+};
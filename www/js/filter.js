@@ -12,6 +12,8 @@
  * - Shadow-aware processing (removes shadows, preserves text)
  * - Blue/red ink enhancement
  * - Auto sharpening
+ * - Sauvola binarization (bi-tonal B&W output)
+ * - Filter registry (one pipeline per filter button)
  */
 
 const FilterManager = {
@@ -26,6 +28,9 @@ const FilterManager = {
     brightnessMap: null,
     edgeMap: null,
     varianceMap: null,
+    
+    // Last pipeline output { name, source, imageData }
+    filterCache: null,
 
     // ═══════════════════════════════════════════════════════════════
     // CONFIGURATION
@@ -89,8 +94,18 @@ const FilterManager = {
             DARKEN_FACTOR: 0.70
         },
         
-        // Auto sharpness
-        AUTO_SHARPNESS: 30
+        // Auto sharpness (used by the 'auto' and 'magic' filters)
+        AUTO_SHARPNESS: 30,
+        
+        // Sauvola binarization (bw filter)
+        BINARIZE: {
+            K: 0.2,                      // Sensitivity (higher = thinner strokes)
+            R: 128,                      // Dynamic range of standard deviation
+            WINDOW_RATIO: 0.025,         // Window ≈ 2.5% of the short side
+            MIN_PAPER: 0.2,              // Clamp for shadow flattening
+            BRIGHTNESS_SHIFT: 0.6,       // Threshold change per brightness step
+            CONTRAST_K: 0.004            // K change per contrast step
+        }
     },
 
     /**
@@ -108,6 +123,7 @@ const FilterManager = {
         this.brightnessMap = null;
         this.edgeMap = null;
         this.varianceMap = null;
+        this.filterCache = null;
     },
 
     /**
@@ -140,30 +156,28 @@ const FilterManager = {
 
     /**
      * Main apply function
+     * Runs the registered pipeline for the current filter, then the
+     * user adjustments on top of it
      */
     apply() {
         if (!this.originalImage) return;
         
         const src = this.originalImage;
+        const filter = this.filters[this.currentFilter] || this.filters.original;
         
         // Set canvas size
         this.canvas.width = src.width;
         this.canvas.height = src.height;
         
-        // Draw original
-        this.ctx.drawImage(src, 0, 0);
-        
-        // Get image data
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        // Run the filter pipeline (cached - sliders only re-run adjustments)
+        const imageData = this.getFilteredImageData(filter, src);
         
-        // Apply filter based on type
-        if (this.currentFilter === 'auto' || this.currentFilter === 'magic') {
-            // Use advanced local contrast analysis
-            this.applyAdvancedEnhancement(imageData);
-        } else if (this.currentFilter === 'bw') {
-            this.applyGrayscale(imageData);
+        // Bi-tonal: sliders move the threshold, output stays pure black/white
+        if (filter.bitonal) {
+            this.applySauvola(imageData);
+            this.ctx.putImageData(imageData, 0, 0);
+            return;
         }
-        // 'original' = no processing
         
         // Apply brightness/contrast adjustments
         if (this.adjustments.brightness !== 0 || this.adjustments.contrast !== 0) {
@@ -173,15 +187,245 @@ const FilterManager = {
         this.ctx.putImageData(imageData, 0, 0);
         
         // Apply sharpening
-        let sharpnessAmount = this.adjustments.sharpness;
-        if (this.currentFilter === 'auto' || this.currentFilter === 'magic') {
-            sharpnessAmount = Math.max(sharpnessAmount, this.DOC_CONFIG.AUTO_SHARPNESS);
-        }
+        const sharpnessAmount = Math.max(this.adjustments.sharpness, filter.autoSharpness || 0);
         if (sharpnessAmount > 0) {
             this.applySharpen(sharpnessAmount);
         }
     },
 
+    /**
+     * Get pipeline output for a filter as a fresh (writable) ImageData
+     */
+    getFilteredImageData(filter, src) {
+        const cache = this.filterCache;
+        
+        if (!cache || cache.name !== this.currentFilter || cache.source !== src) {
+            let imageData;
+            
+            if (filter.canvas) {
+                // Canvas pipelines (DocumentEnhancer presets) return a new canvas
+                const processed = filter.canvas.call(this, src);
+                this.ctx.drawImage(processed, 0, 0, this.canvas.width, this.canvas.height);
+                imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+            } else {
+                this.ctx.drawImage(src, 0, 0);
+                imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+                if (filter.pixels) {
+                    filter.pixels.call(this, imageData);
+                }
+            }
+            
+            this.filterCache = { name: this.currentFilter, source: src, imageData };
+        }
+        
+        const cached = this.filterCache.imageData;
+        return new ImageData(new Uint8ClampedArray(cached.data), cached.width, cached.height);
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // FILTER REGISTRY
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Filter pipelines keyed by the filter button's data-filter name.
+     * Each entry provides ONE of:
+     * - pixels(imageData): edits ImageData in place
+     * - canvas(canvas): returns a new processed canvas
+     * autoSharpness is the minimum sharpening applied afterwards.
+     * bitonal filters are binarized after the pipeline (1-bit output).
+     * Pipelines are called with FilterManager as `this`.
+     */
+    filters: {
+        auto: {
+            label: 'Auto',
+            get autoSharpness() { return FilterManager.DOC_CONFIG.AUTO_SHARPNESS; },
+            pixels(imageData) {
+                this.applyAdvancedEnhancement(imageData);
+            }
+        },
+        magic: {
+            label: 'Magic',
+            get autoSharpness() { return FilterManager.DOC_CONFIG.AUTO_SHARPNESS; },
+            pixels(imageData) {
+                this.applyAdvancedEnhancement(imageData);
+                this.applyContrastBoost(imageData.data, 1.2);
+            }
+        },
+        document: {
+            label: 'Document',
+            canvas(src) {
+                return DocumentEnhancer.documentMode(src);
+            }
+        },
+        book: {
+            label: 'Book',
+            canvas(src) {
+                return DocumentEnhancer.bookMode(src);
+            }
+        },
+        whiteboard: {
+            label: 'Whiteboard',
+            canvas(src) {
+                return DocumentEnhancer.whiteboardMode(src);
+            }
+        },
+        photo: {
+            label: 'Photo',
+            canvas(src) {
+                return DocumentEnhancer.photoMode(src);
+            }
+        },
+        bw: {
+            label: 'B&W',
+            bitonal: true,
+            pixels(imageData) {
+                // Clean paper/text first - Sauvola runs on this in apply()
+                this.applyAdvancedEnhancement(imageData);
+                this.applyGrayscale(imageData);
+            }
+        },
+        gray: {
+            label: 'Gray',
+            pixels(imageData) {
+                this.applyGrayscale(imageData);
+            }
+        },
+        original: {
+            label: 'Original'
+        }
+    },
+
+    /**
+     * Register (or replace) a filter pipeline
+     * @param {string} name - Matches data-filter on the filter button
+     * @param {Object} definition - { label, pixels | canvas, autoSharpness, bitonal }
+     */
+    registerFilter(name, definition) {
+        this.filters[name] = { autoSharpness: 0, ...definition };
+        if (this.filterCache && this.filterCache.name === name) {
+            this.filterCache = null;
+        }
+    },
+
+    /**
+     * Check if a filter is registered
+     */
+    hasFilter(name) {
+        return Object.prototype.hasOwnProperty.call(this.filters, name);
+    },
+
+    /**
+     * Check if a filter produces 1-bit output
+     */
+    isBitonal(name = this.currentFilter) {
+        return this.hasFilter(name) && !!this.filters[name].bitonal;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // SAUVOLA BINARIZATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Binarize with Sauvola: T = m * (1 + k * (s / R - 1))
+     * 
+     * Gray is first divided by the local paper brightness map, so shadows
+     * and uneven light are flattened before thresholding. Window mean/std
+     * come from block sums on the same block grid (cheap on 12MP pages).
+     * Brightness slider shifts T, contrast slider changes k.
+     */
+    applySauvola(imageData) {
+        const { data, width, height } = imageData;
+        const cfg = this.DOC_CONFIG.BINARIZE;
+        const startTime = performance.now();
+        
+        const grayscale = this.buildGrayscaleArray(data, width, height);
+        const paper = this.buildLocalBrightnessMap(grayscale, width, height);
+        
+        // Flatten illumination (paper → ~255)
+        const flat = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const p = Math.max(cfg.MIN_PAPER, this.getLocalBrightness(paper, x, y, width, height));
+                flat[i] = Math.min(255, grayscale[i] / p);
+            }
+        }
+        
+        // Block sums → summed-area table over blocks
+        const { blockSize, width: bw, height: bh } = paper;
+        const sat = new Float64Array((bw + 1) * (bh + 1));
+        const satSq = new Float64Array((bw + 1) * (bh + 1));
+        const satCount = new Float64Array((bw + 1) * (bh + 1));
+        
+        for (let by = 0; by < bh; by++) {
+            for (let bx = 0; bx < bw; bx++) {
+                let sum = 0, sumSq = 0, count = 0;
+                const endY = Math.min((by + 1) * blockSize, height);
+                const endX = Math.min((bx + 1) * blockSize, width);
+                
+                for (let y = by * blockSize; y < endY; y++) {
+                    for (let x = bx * blockSize; x < endX; x++) {
+                        const v = flat[y * width + x];
+                        sum += v;
+                        sumSq += v * v;
+                        count++;
+                    }
+                }
+                
+                const i = (by + 1) * (bw + 1) + (bx + 1);
+                const up = i - (bw + 1);
+                sat[i] = sum + sat[i - 1] + sat[up] - sat[up - 1];
+                satSq[i] = sumSq + satSq[i - 1] + satSq[up] - satSq[up - 1];
+                satCount[i] = count + satCount[i - 1] + satCount[up] - satCount[up - 1];
+            }
+        }
+        
+        // Threshold per block from its window
+        const radius = Math.max(1, Math.round(Math.min(width, height) * cfg.WINDOW_RATIO / blockSize / 2));
+        const k = Math.max(0.02, cfg.K + this.adjustments.contrast * cfg.CONTRAST_K);
+        const shift = this.adjustments.brightness * cfg.BRIGHTNESS_SHIFT;
+        const thresholds = new Float32Array(bw * bh);
+        
+        const area = (table, x0, y0, x1, y1) =>
+            table[y1 * (bw + 1) + x1] - table[y0 * (bw + 1) + x1] - table[y1 * (bw + 1) + x0] + table[y0 * (bw + 1) + x0];
+        
+        for (let by = 0; by < bh; by++) {
+            for (let bx = 0; bx < bw; bx++) {
+                const x0 = Math.max(0, bx - radius), x1 = Math.min(bw, bx + radius + 1);
+                const y0 = Math.max(0, by - radius), y1 = Math.min(bh, by + radius + 1);
+                const n = area(satCount, x0, y0, x1, y1);
+                const mean = area(sat, x0, y0, x1, y1) / n;
+                const variance = Math.max(0, area(satSq, x0, y0, x1, y1) / n - mean * mean);
+                
+                thresholds[by * bw + bx] = mean * (1 + k * (Math.sqrt(variance) / cfg.R - 1)) - shift;
+            }
+        }
+        
+        // Bilinear threshold between block centers (no block seams)
+        for (let y = 0; y < height; y++) {
+            const fy = Math.min(bh - 1, Math.max(0, (y + 0.5) / blockSize - 0.5));
+            const y0 = Math.floor(fy), y1 = Math.min(bh - 1, y0 + 1), ty = fy - y0;
+            
+            for (let x = 0; x < width; x++) {
+                const fx = Math.min(bw - 1, Math.max(0, (x + 0.5) / blockSize - 0.5));
+                const x0 = Math.floor(fx), x1 = Math.min(bw - 1, x0 + 1), tx = fx - x0;
+                
+                const top = thresholds[y0 * bw + x0] * (1 - tx) + thresholds[y0 * bw + x1] * tx;
+                const bottom = thresholds[y1 * bw + x0] * (1 - tx) + thresholds[y1 * bw + x1] * tx;
+                const threshold = top * (1 - ty) + bottom * ty;
+                
+                const i = y * width + x;
+                const value = flat[i] < threshold ? 0 : 255;
+                const idx = i * 4;
+                data[idx] = value;
+                data[idx + 1] = value;
+                data[idx + 2] = value;
+            }
+        }
+        
+        console.log(`⬛ Sauvola binarization in ${(performance.now() - startTime).toFixed(0)}ms`);
+    },
+
     // ═══════════════════════════════════════════════════════════════
     // ADVANCED ENHANCEMENT (LOCAL CONTRAST ANALYSIS)
     // ═══════════════════════════════════════════════════════════════
@@ -237,11 +481,6 @@ const FilterManager = {
             }
         }
         
-        // Extra contrast boost for 'magic' filter
-        if (this.currentFilter === 'magic') {
-            this.applyContrastBoost(data, 1.2);
-        }
-        
         console.log(`✅ Enhancement complete in ${(performance.now() - startTime).toFixed(0)}ms`);
     },
 
@@ -682,8 +921,24 @@ const FilterManager = {
         };
     },
 
+    /**
+     * Restore filter + adjustments saved with a page (re-edit)
+     * @param {string} filter - Filter name
+     * @param {Object} adjustments - { brightness, contrast, sharpness }
+     */
+    restore(filter, adjustments) {
+        this.currentFilter = this.hasFilter(filter) ? filter : 'auto';
+        this.adjustments = {
+            brightness: adjustments?.brightness ?? 0,
+            contrast: adjustments?.contrast ?? 0,
+            sharpness: adjustments?.sharpness ?? 0
+        };
+        this.apply();
+    },
+
     cleanup() {
         this.originalImage = null;
+        this.filterCache = null;
         this.brightnessMap = null;
         this.edgeMap = null;
         this.varianceMap = null;
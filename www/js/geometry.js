@@ -94,5 +94,37 @@ const Geometry = {
             x: (corners.tl.x + corners.tr.x + corners.br.x + corners.bl.x) / 4,
             y: (corners.tl.y + corners.tr.y + corners.br.y + corners.bl.y) / 4
         };
+    },
+    
+    /**
+     * Point inside convex quad (same side of every edge)
+     */
+    pointInQuad(x, y, corners) {
+        const pts = [corners.tl, corners.tr, corners.br, corners.bl];
+        let sign = 0;
+        
+        for (let i = 0; i < 4; i++) {
+            const a = pts[i];
+            const b = pts[(i + 1) % 4];
+            const cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+            
+            if (cross !== 0) {
+                if (sign === 0) sign = Math.sign(cross);
+                else if (Math.sign(cross) !== sign) return false;
+            }
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Quads overlap if either contains a corner or the center of the other
+     */
+    quadsOverlap(a, b) {
+        const contains = (quad, other) =>
+            [other.tl, other.tr, other.br, other.bl, this.center(other)]
+                .some(p => this.pointInQuad(p.x, p.y, quad));
+        
+        return contains(a, b) || contains(b, a);
     }
 };
@@ -0,0 +1,227 @@
+/**
+ * Capture Guidance Module
+ * Actionable camera hints from the detected quad and frame statistics
+ *
+ * With a quad:    too close / move closer / tilt (perspective skew) /
+ *                 too dark / glare / low contrast to the background
+ * Without a quad: too dark / bright, uniform frame (paper on a light
+ *                 table) / skewed shapes RectangleMath rejected
+ *
+ * A hint must persist for a few frames before it is shown (no flicker)
+ * and can be spoken with speech synthesis (Settings 'voiceGuidance').
+ */
+
+const CaptureGuidance = {
+
+    state: {
+        candidate: null,        // Hint key seen in the last frames
+        candidateFrames: 0,
+        current: null,          // { key, message, type } on screen
+        spokenKey: null,
+        spokenAt: 0
+    },
+
+    MESSAGES: {
+        too_close: 'Too close - move back',
+        move_closer: 'Move closer',
+        skewed: 'Tilt phone - document is skewed',
+        too_dark: 'Too dark - add light',
+        glare: 'Glare detected - tilt slightly',
+        low_contrast: 'Move onto darker background'
+    },
+
+    /**
+     * Guidance for the current frame (debounced)
+     * @param {Object} input
+     * @param {Object} input.corners - Quad in video coordinates (null if none)
+     * @param {number} input.videoWidth
+     * @param {number} input.videoHeight
+     * @param {Object} input.frame - { imageData, width, height } preview frame
+     * @param {string} input.rejectReason - RectangleMath reason for a dropped quad
+     * @returns {Object|null} { key, message, type }
+     */
+    update(input) {
+        const key = this.evaluate(input);
+        const s = this.state;
+
+        if (key === s.candidate) {
+            s.candidateFrames++;
+        } else {
+            s.candidate = key;
+            s.candidateFrames = 1;
+        }
+
+        if (s.candidateFrames >= CONFIG.GUIDANCE.STABLE_FRAMES && (s.current ? s.current.key : null) !== key) {
+            s.current = key ? { key, message: this.MESSAGES[key], type: 'warning' } : null;
+            if (s.current) this.speak(s.current);
+        }
+
+        return s.current;
+    },
+
+    reset() {
+        this.state.candidate = null;
+        this.state.candidateFrames = 0;
+        this.state.current = null;
+    },
+
+    /**
+     * Most important problem in this frame
+     * @returns {string|null} MESSAGES key
+     */
+    evaluate({ corners, videoWidth, videoHeight, frame, rejectReason }) {
+        const cfg = CONFIG.GUIDANCE;
+
+        if (!corners) {
+            const stats = this.frameStats(frame);
+            if (stats.brightness < cfg.MIN_BRIGHTNESS) return 'too_dark';
+            if (stats.brightness > cfg.BRIGHT_BACKGROUND && stats.deviation < cfg.UNIFORM_DEVIATION) {
+                return 'low_contrast';
+            }
+            if (rejectReason && /diagonal|parallel|angle/.test(rejectReason)) return 'skewed';
+            return null;
+        }
+
+        const areaRatio = Geometry.quadArea(corners) / (videoWidth * videoHeight);
+        if (areaRatio > cfg.MAX_AREA_RATIO || this.touchesEdge(corners, videoWidth, videoHeight)) {
+            return 'too_close';
+        }
+        if (areaRatio < cfg.MIN_AREA_RATIO) return 'move_closer';
+        if (this.skew(corners) > cfg.MAX_SKEW) return 'skewed';
+
+        const roi = Geometry.scaleCorners(corners, videoWidth, videoHeight, frame.width, frame.height);
+        const stats = this.regionStats(frame, roi);
+        if (stats.inside < cfg.MIN_BRIGHTNESS) return 'too_dark';
+        if (stats.glare > cfg.MAX_GLARE_RATIO) return 'glare';
+        if (stats.outside !== null && stats.inside - stats.outside < cfg.MIN_CONTRAST) return 'low_contrast';
+
+        return null;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // GEOMETRY / FRAME STATS
+    // ═══════════════════════════════════════════════════════════════
+
+    touchesEdge(c, w, h) {
+        const margin = CONFIG.GUIDANCE.EDGE_MARGIN * Math.min(w, h);
+        return [c.tl, c.tr, c.br, c.bl].some(p =>
+            p.x < margin || p.y < margin || p.x > w - margin || p.y > h - margin);
+    },
+
+    /**
+     * Perspective skew - longer / shorter of each pair of opposite edges
+     */
+    skew(c) {
+        const length = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const ratio = (a, b) => Math.max(a, b) / Math.max(1, Math.min(a, b));
+
+        return Math.max(
+            ratio(length(c.tl, c.tr), length(c.bl, c.br)),
+            ratio(length(c.tl, c.bl), length(c.tr, c.br))
+        );
+    },
+
+    /**
+     * Mean brightness and spread of the whole frame (sampled grid)
+     */
+    frameStats({ imageData, width, height }) {
+        const step = CONFIG.GUIDANCE.SAMPLE_STEP;
+        const data = imageData.data;
+        let sum = 0, sumSq = 0, count = 0;
+
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const v = this.gray(data, (y * width + x) * 4);
+                sum += v;
+                sumSq += v * v;
+                count++;
+            }
+        }
+
+        const brightness = count ? sum / count : 0;
+        const deviation = count ? Math.sqrt(Math.max(0, sumSq / count - brightness * brightness)) : 0;
+        return { brightness, deviation };
+    },
+
+    /**
+     * Brightness inside the quad, around it (band as wide as BORDER of the
+     * quad size), and the blown-out fraction inside
+     */
+    regionStats({ imageData, width, height }, roi) {
+        const cfg = CONFIG.GUIDANCE;
+        const step = cfg.SAMPLE_STEP;
+        const data = imageData.data;
+        const outer = ImageQuality.insetCorners(roi, -cfg.BORDER);
+        const box = ImageQuality.boundingBox(outer, width, height);
+
+        let inside = 0, insideCount = 0, glare = 0;
+        let outside = 0, outsideCount = 0;
+
+        for (let y = box.y0; y < box.y1; y += step) {
+            for (let x = box.x0; x < box.x1; x += step) {
+                const idx = (y * width + x) * 4;
+                const v = this.gray(data, idx);
+
+                if (Geometry.pointInQuad(x, y, roi)) {
+                    inside += v;
+                    insideCount++;
+                    if (this.isGlare(data, idx)) glare++;
+                } else if (Geometry.pointInQuad(x, y, outer)) {
+                    outside += v;
+                    outsideCount++;
+                }
+            }
+        }
+
+        return {
+            inside: insideCount ? inside / insideCount : 0,
+            outside: outsideCount ? outside / outsideCount : null,
+            glare: insideCount ? glare / insideCount : 0
+        };
+    },
+
+    /**
+     * Blown-out, colourless pixel (same test as ImageQuality)
+     */
+    isGlare(data, idx) {
+        const max = Math.max(data[idx], data[idx + 1], data[idx + 2]);
+        const min = Math.min(data[idx], data[idx + 1], data[idx + 2]);
+        return max >= ImageQuality.CONFIG.GLARE_VALUE && max - min <= ImageQuality.CONFIG.GLARE_CHROMA;
+    },
+
+    gray(data, idx) {
+        return 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // SPEECH
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Read a hint aloud (accessibility) - the same hint is not repeated
+     * within REPEAT_MS, and no hint interrupts another within MIN_GAP_MS
+     */
+    speak(hint) {
+        if (!Settings.get('voiceGuidance') || typeof speechSynthesis === 'undefined') return;
+
+        const s = this.state;
+        const now = Date.now();
+        if (now - s.spokenAt < CONFIG.GUIDANCE.SPEECH_MIN_GAP_MS) return;
+        if (hint.key === s.spokenKey && now - s.spokenAt < CONFIG.GUIDANCE.SPEECH_REPEAT_MS) return;
+
+        s.spokenKey = hint.key;
+        s.spokenAt = now;
+
+        speechSynthesis.cancel();
+        speechSynthesis.speak(new SpeechSynthesisUtterance(hint.message.replace(/ - /g, ', ')));
+    },
+
+    /**
+     * Short spoken confirmation (e.g. when voice guidance is switched on)
+     */
+    say(text) {
+        if (typeof speechSynthesis === 'undefined') return;
+        speechSynthesis.cancel();
+        speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+    }
+};
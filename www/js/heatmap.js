@@ -11,12 +11,17 @@ const HeatmapDetector = {
     lastConfidence: 0,
     frameCount: 0,
     
+    // Scratch canvases reused by resizeImageData
+    srcCanvas: null,
+    dstCanvas: null,
+    
     /**
      * Initialize the ONNX model
+     * @param {string} path - Model URL (the worker resolves paths from js/)
      */
-    async init() {
+    async init(path) {
         try {
-            const modelPath = CONFIG?.HEATMAP?.MODEL_PATH ?? './models/corner_heatmap.onnx';
+            const modelPath = path ?? CONFIG?.HEATMAP?.MODEL_PATH ?? './models/corner_heatmap.onnx';
             
             console.log('🔥 Loading heatmap model...');
             this.session = await ort.InferenceSession.create(modelPath, {
@@ -44,11 +49,12 @@ const HeatmapDetector = {
     async detect(imageData, w, h) {
         if (!this.modelReady || !this.session) return null;
         
-        // Skip frames for performance
+        // Skip frames for performance - no result rather than stale corners
+        // (the phone may have moved; CornerTracker bridges the gap)
         this.frameCount++;
         const skipFrames = CONFIG?.HEATMAP?.SKIP_FRAMES ?? 4;
         if (this.frameCount % skipFrames !== 0) {
-            return this.lastCorners;
+            return null;
         }
         
         try {
@@ -94,62 +100,169 @@ const HeatmapDetector = {
      * Resize ImageData to target size
      */
     resizeImageData(imageData, srcW, srcH, dstW, dstH) {
-        const canvas = document.createElement('canvas');
-        canvas.width = dstW;
-        canvas.height = dstH;
-        const ctx = canvas.getContext('2d');
+        this.srcCanvas = this.sizeCanvas(this.srcCanvas, srcW, srcH);
+        this.dstCanvas = this.sizeCanvas(this.dstCanvas, dstW, dstH);
         
-        // Create temp canvas with source
-        const srcCanvas = document.createElement('canvas');
-        srcCanvas.width = srcW;
-        srcCanvas.height = srcH;
-        srcCanvas.getContext('2d').putImageData(imageData, 0, 0);
+        this.srcCanvas.getContext('2d').putImageData(imageData, 0, 0);
         
         // Draw resized
-        ctx.drawImage(srcCanvas, 0, 0, dstW, dstH);
+        const ctx = this.dstCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(this.srcCanvas, 0, 0, dstW, dstH);
         
         return ctx.getImageData(0, 0, dstW, dstH).data;
     },
     
+    /**
+     * Reuse a scratch canvas - OffscreenCanvas where available (also in the worker)
+     */
+    sizeCanvas(canvas, w, h) {
+        if (!canvas) {
+            canvas = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(w, h)
+                : document.createElement('canvas');
+        }
+        if (canvas.width !== w) canvas.width = w;
+        if (canvas.height !== h) canvas.height = h;
+        return canvas;
+    },
+    
     /**
      * Parse heatmap output to corner coordinates
+     * 
+     * Per corner: sub-pixel peak, confidence (peak value), sharpness (share
+     * of the heatmap mass in the peak) and a second-peak check. Ambiguous
+     * corners (diffuse or two peaks) get confidence 0 instead of being trusted.
+     * 
+     * @returns {Object} {tl, tr, br, bl, _confidence, _cornerConfidences, _sharpness, _ambiguous}
      */
     parseHeatmaps(output, outputSize, frameW, frameH) {
+        const cfg = CONFIG.HEATMAP;
         const corners = ['tl', 'tr', 'br', 'bl'];
-        const result = {};
+        const result = { _cornerConfidences: {}, _sharpness: {}, _ambiguous: [] };
         let totalConf = 0;
         
         for (let c = 0; c < 4; c++) {
-            const offset = c * outputSize * outputSize;
-            let maxVal = -Infinity;
-            let maxX = 0, maxY = 0;
-            
-            // Find max in heatmap
-            for (let y = 0; y < outputSize; y++) {
-                for (let x = 0; x < outputSize; x++) {
-                    const val = output[offset + y * outputSize + x];
-                    if (val > maxVal) {
-                        maxVal = val;
-                        maxX = x;
-                        maxY = y;
-                    }
-                }
-            }
+            const key = corners[c];
+            const peak = this.locatePeak(output, c * outputSize * outputSize, outputSize);
             
             // Scale to frame coordinates
-            result[corners[c]] = {
-                x: (maxX / outputSize) * frameW,
-                y: (maxY / outputSize) * frameH
+            result[key] = {
+                x: (peak.x / outputSize) * frameW,
+                y: (peak.y / outputSize) * frameH
             };
             
-            totalConf += Math.max(0, Math.min(1, maxVal));
+            const ambiguous = peak.sharpness < cfg.MIN_SHARPNESS || peak.secondRatio > cfg.SECOND_PEAK_RATIO;
+            const confidence = ambiguous ? 0 : Math.max(0, Math.min(1, peak.value));
+            
+            result._cornerConfidences[key] = confidence;
+            result._sharpness[key] = peak.sharpness;
+            if (ambiguous) result._ambiguous.push(key);
+            
+            totalConf += confidence;
         }
         
         result._confidence = totalConf / 4;
         
+        if (result._ambiguous.length > 0) {
+            console.log(`🔥 Ambiguous heatmap corners: ${result._ambiguous.join(', ')}`);
+        }
+        
         return result;
     },
     
+    /**
+     * Peak of one corner heatmap
+     * @returns {Object} { x, y (sub-cell), value, sharpness 0-1, secondRatio 0-1 }
+     */
+    locatePeak(output, offset, size) {
+        const radius = CONFIG.HEATMAP.PEAK_RADIUS;
+        const at = (x, y) => output[offset + y * size + x];
+        
+        // Integer argmax and the background level
+        let maxVal = -Infinity;
+        let maxX = 0, maxY = 0;
+        let sum = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const val = at(x, y);
+                sum += val;
+                if (val > maxVal) {
+                    maxVal = val;
+                    maxX = x;
+                    maxY = y;
+                }
+            }
+        }
+        const floor = sum / (size * size);
+        const height = maxVal - floor;
+        
+        // Sharpness: mass above the background inside the peak window vs everywhere
+        // Second peak: strongest local maximum outside the window
+        let peakMass = 0, totalMass = 0, second = floor;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const val = at(x, y);
+                const mass = Math.max(0, val - floor);
+                const inPeak = Math.abs(x - maxX) <= radius && Math.abs(y - maxY) <= radius;
+                
+                totalMass += mass;
+                if (inPeak) {
+                    peakMass += mass;
+                } else if (val > second && this.isLocalMax(at, x, y, size)) {
+                    second = val;
+                }
+            }
+        }
+        
+        return {
+            x: maxX + this.subCellOffset(at, maxX, maxY, size, 1, 0),
+            y: maxY + this.subCellOffset(at, maxX, maxY, size, 0, 1),
+            value: maxVal,
+            sharpness: totalMass > 0 ? peakMass / totalMass : 0,
+            secondRatio: height > 0 ? (second - floor) / height : 1
+        };
+    },
+    
+    /**
+     * Vertex of the parabola through the peak and its two neighbours
+     * along (dx, dy); soft-argmax of the peak window when the top is flat
+     */
+    subCellOffset(at, x, y, size, dx, dy) {
+        const pos = dx ? x : y;
+        if (pos === 0 || pos === size - 1) return 0;
+        
+        const before = at(x - dx, y - dy);
+        const centre = at(x, y);
+        const after = at(x + dx, y + dy);
+        const curvature = before - 2 * centre + after;
+        
+        if (curvature < 0) {
+            return Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature)));
+        }
+        
+        // Flat top - weighted centroid around the peak
+        const radius = CONFIG.HEATMAP.PEAK_RADIUS;
+        let weight = 0, moment = 0;
+        for (let d = -radius; d <= radius; d++) {
+            const p = pos + d;
+            if (p < 0 || p >= size) continue;
+            const val = Math.max(0, dx ? at(p, y) : at(x, p));
+            weight += val;
+            moment += val * d;
+        }
+        return weight > 0 ? moment / weight : 0;
+    },
+    
+    isLocalMax(at, x, y, size) {
+        const val = at(x, y);
+        for (let ny = Math.max(0, y - 1); ny <= Math.min(size - 1, y + 1); ny++) {
+            for (let nx = Math.max(0, x - 1); nx <= Math.min(size - 1, x + 1); nx++) {
+                if (at(nx, ny) > val) return false;
+            }
+        }
+        return true;
+    },
+    
     /**
      * Check if model is ready
      */
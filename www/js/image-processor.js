@@ -125,6 +125,144 @@ const ImageProcessor = {
         }
     },
 
+    /**
+     * Full document crop pipeline: perspective correction + edge cleanup
+     * Shared by auto capture, manual crop and page re-crop so every path
+     * produces the same page from the same source and corners
+     * 
+     * @param {HTMLCanvasElement} frame - Source image (FULL resolution)
+     * @param {Object} corners - Corner coordinates in frame space
+     * @returns {HTMLCanvasElement} Corrected page (source frame on failure)
+     */
+    correctDocument(frame, corners) {
+        let processed;
+        
+        try {
+            // Step 1: Perspective correction
+            processed = this.perspectiveCorrect(frame, corners);
+            
+            // Step 2: Clean edges (crop + white border)
+            processed = this.cleanEdges(processed);
+            console.log('✂️ Edge cleanup applied');
+        } catch (err) {
+            console.error('Perspective correction failed:', err);
+            processed = frame;
+        }
+        
+        return processed;
+    },
+
+    /**
+     * Rotate canvas by a multiple of 90° (clockwise)
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} degrees - 0, 90, 180, 270
+     * @returns {HTMLCanvasElement} Same canvas for 0°, else a new one
+     */
+    rotate(canvas, degrees) {
+        const angle = ((degrees % 360) + 360) % 360;
+        if (angle === 0) return canvas;
+        
+        const swap = angle === 90 || angle === 270;
+        const rotated = document.createElement('canvas');
+        rotated.width = swap ? canvas.height : canvas.width;
+        rotated.height = swap ? canvas.width : canvas.height;
+        
+        const ctx = rotated.getContext('2d');
+        ctx.translate(rotated.width / 2, rotated.height / 2);
+        ctx.rotate(angle * Math.PI / 180);
+        ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        
+        return rotated;
+    },
+
+    /**
+     * Straighten text lines (small rotation, white fill)
+     * @param {HTMLCanvasElement} canvas
+     * @returns {HTMLCanvasElement} Same canvas if already straight
+     */
+    deskew(canvas) {
+        const angle = this.estimateSkew(canvas);
+        if (Math.abs(angle) < CONFIG.DESKEW.MIN_ANGLE) return canvas;
+        
+        const out = document.createElement('canvas');
+        out.width = canvas.width;
+        out.height = canvas.height;
+        
+        const ctx = out.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, out.width, out.height);
+        ctx.translate(out.width / 2, out.height / 2);
+        ctx.rotate(angle * Math.PI / 180);
+        ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        
+        console.log(`📐 Deskewed ${angle.toFixed(2)}°`);
+        return out;
+    },
+
+    /**
+     * Skew of text lines by projection profile: the rotation that makes
+     * row ink histograms sharpest
+     * @returns {number} Degrees to rotate clockwise (0 if no text)
+     */
+    estimateSkew(canvas) {
+        const cfg = CONFIG.DESKEW;
+        const work = this.resize(canvas, cfg.WORK_SIZE);
+        const { width, height } = work;
+        const data = work.getContext('2d').getImageData(0, 0, width, height).data;
+        
+        let mean = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            mean += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+        mean /= width * height;
+        
+        // Ink pixel coordinates (relative to centre)
+        const xs = [];
+        const ys = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                if (gray < mean * cfg.INK_RATIO) {
+                    xs.push(x - width / 2);
+                    ys.push(y - height / 2);
+                }
+            }
+        }
+        if (xs.length < cfg.MIN_INK_POINTS) return 0;
+        
+        const diagonal = Math.ceil(Math.hypot(width, height));
+        const bins = new Float32Array(diagonal + 1);
+        const score = (degrees) => {
+            const rad = degrees * Math.PI / 180;
+            const sin = Math.sin(rad);
+            const cos = Math.cos(rad);
+            bins.fill(0);
+            for (let i = 0; i < xs.length; i++) {
+                bins[Math.round(ys[i] * cos + xs[i] * sin + diagonal / 2)]++;
+            }
+            let sum = 0;
+            for (let i = 0; i < bins.length; i++) sum += bins[i] * bins[i];
+            return sum;
+        };
+        
+        const search = (from, to, step) => {
+            let best = from;
+            let bestScore = -Infinity;
+            for (let a = from; a <= to + 1e-9; a += step) {
+                const s = score(a);
+                if (s > bestScore) {
+                    bestScore = s;
+                    best = a;
+                }
+            }
+            return best;
+        };
+        
+        const coarse = search(-cfg.MAX_ANGLE, cfg.MAX_ANGLE, cfg.STEP);
+        return search(coarse - cfg.STEP, coarse + cfg.STEP, cfg.FINE_STEP);
+    },
+
     /**
      * Calculate distance between two points
      */
@@ -188,6 +326,26 @@ const ImageProcessor = {
         });
     },
 
+    /**
+     * Load image from data URL (stored pages) at FULL RESOLUTION
+     * @param {string} dataUrl 
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    loadDataUrl(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                canvas.getContext('2d').drawImage(img, 0, 0);
+                resolve(canvas);
+            };
+            img.onerror = () => reject(new Error('Failed to decode image'));
+            img.src = dataUrl;
+        });
+    },
+
     /**
      * Resize canvas (only for final export if needed)
      * @param {HTMLCanvasElement} canvas 
@@ -0,0 +1,148 @@
+/**
+ * OCR Module
+ * On-device text recognition (Tesseract WASM, bundled in lib/tesseract)
+ *
+ * Everything runs locally - engine, WASM core and language data are
+ * loaded from CONFIG.OCR paths, nothing is sent to a server.
+ * Loaded lazily on first use (the engine is several MB).
+ *
+ * Result (in page pixel coordinates, cached on the page as page.ocr):
+ *   { text, width, height, words: [{ text, x, y, w, h, confidence }] }
+ */
+
+const OCREngine = {
+
+    worker: null,
+    loading: null,
+    available: null,
+
+    /**
+     * Load the engine and language data (once)
+     * @returns {Promise<boolean>} false if the engine files are missing
+     */
+    async init() {
+        if (this.worker) return true;
+        if (this.available === false) return false;   // Files missing - don't retry every export
+        if (this.loading) return this.loading;
+
+        this.loading = this.load().finally(() => {
+            this.loading = null;
+        });
+        return this.loading;
+    },
+
+    async load() {
+        try {
+            if (typeof Tesseract === 'undefined') {
+                await this.loadScript(CONFIG.OCR.LIB_PATH);
+            }
+
+            console.log('🔤 Loading OCR engine...');
+            this.worker = await Tesseract.createWorker(CONFIG.OCR.LANGUAGES, 1, {
+                workerPath: CONFIG.OCR.WORKER_PATH,
+                corePath: CONFIG.OCR.CORE_PATH,
+                langPath: CONFIG.OCR.LANG_PATH,
+                workerBlobURL: false,
+                gzip: true
+            });
+
+            this.available = true;
+            console.log(`✅ OCR ready (${CONFIG.OCR.LANGUAGES})`);
+            return true;
+
+        } catch (err) {
+            console.warn('⚠️ OCR engine not available:', err);
+            this.worker = null;
+            this.available = false;
+            return false;
+        }
+    },
+
+    isReady() {
+        return this.worker !== null;
+    },
+
+    loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.head.appendChild(script);
+        });
+    },
+
+    /**
+     * Recognize text on a page image
+     * @param {string} dataUrl - Page image
+     * @returns {Promise<Object>} OCR result (see header)
+     */
+    async recognize(dataUrl) {
+        if (!await this.init()) {
+            throw new Error('OCR engine not installed');
+        }
+
+        // Downscale very large pages - Tesseract is slow above ~2000px
+        const image = await ImageProcessor.loadDataUrl(dataUrl);
+        const input = ImageProcessor.resize(image, CONFIG.OCR.MAX_DIMENSION);
+        const scale = image.width / input.width;
+
+        const { data } = await this.worker.recognize(input);
+
+        const words = (data.words || [])
+            .filter(word => word.text.trim() && word.confidence >= CONFIG.OCR.MIN_CONFIDENCE)
+            .map(word => ({
+                text: word.text.trim(),
+                x: word.bbox.x0 * scale,
+                y: word.bbox.y0 * scale,
+                w: (word.bbox.x1 - word.bbox.x0) * scale,
+                h: (word.bbox.y1 - word.bbox.y0) * scale,
+                confidence: Math.round(word.confidence)
+            }));
+
+        return {
+            text: (data.text || '').trim(),
+            width: image.width,
+            height: image.height,
+            words
+        };
+    },
+
+    /**
+     * Run OCR on every page that has no result yet
+     * @param {Array} pages - App.pages entries (receive page.ocr)
+     * @param {Function} onProgress - (done, total)
+     * @returns {Promise<Array>} Pages that were recognized now
+     */
+    async recognizePages(pages, onProgress) {
+        const pending = pages.filter(page => !page.ocr);
+        const done = [];
+
+        for (let i = 0; i < pending.length; i++) {
+            if (onProgress) onProgress(i, pending.length);
+
+            const page = pending[i];
+            page.ocr = await this.recognize(page.dataUrl);
+            done.push(page);
+        }
+
+        return done;
+    },
+
+    /**
+     * Plain text of all pages (page breaks as blank lines)
+     */
+    getText(pages) {
+        return pages
+            .map(page => page.ocr ? page.ocr.text : '')
+            .filter(Boolean)
+            .join('\n\n');
+    },
+
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+            this.worker = null;
+        }
+    }
+};
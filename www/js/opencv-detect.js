@@ -27,10 +27,10 @@ const OpenCVDetector = {
     _lastCleanup: 0,
     
     /**
-     * Check if OpenCV is ready
+     * Check if OpenCV is ready (self = window, or the detection worker)
      */
     isReady() {
-        return window.cvReady && typeof cv !== 'undefined' && typeof cv.Mat !== 'undefined';
+        return self.cvReady && typeof cv !== 'undefined' && typeof cv.Mat !== 'undefined';
     },
 
     /**
@@ -74,6 +74,25 @@ const OpenCVDetector = {
      * @returns {Object|null} Corners {tl, tr, br, bl} or null
      */
     detect(imageData, w, h) {
+        return this._withContours(imageData, (contours) => this._findBestQuad(contours, w, h));
+    },
+
+    /**
+     * Multi-document detection (receipts, cards laid out on a desk)
+     * @param {ImageData} imageData 
+     * @param {number} w - Width
+     * @param {number} h - Height
+     * @returns {Array} Non-overlapping quads {tl, tr, br, bl, _score}, best first
+     */
+    detectAll(imageData, w, h) {
+        return this._withContours(imageData, (contours) => this._findAllQuads(contours, w, h)) || [];
+    },
+
+    /**
+     * Edge pipeline shared by detect() / detectAll()
+     * @param {Function} select - (contours) => result, runs before contours are freed
+     */
+    _withContours(imageData, select) {
         if (!this.isReady()) return null;
         
         this._frameCount++;
@@ -112,10 +131,7 @@ const OpenCVDetector = {
             cv.findContours(this._mats.dilated, contours, hierarchy, 
                 cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
             
-            // Find best quadrilateral
-            const result = this._findBestQuad(contours, w, h);
-            
-            return result;
+            return select(contours);
             
         } catch (err) {
             console.error('OpenCV detect error:', err);
@@ -222,6 +238,61 @@ const OpenCVDetector = {
         return bestQuad;
     },
 
+    /**
+     * All plausible quads, ranked by area × rectangularity, overlaps dropped
+     */
+    _findAllQuads(contours, w, h) {
+        const cfg = CONFIG.MULTI_DOC;
+        const frameArea = w * h;
+        const minArea = frameArea * cfg.MIN_AREA_RATIO;
+        const maxArea = frameArea * (CONFIG?.DETECTION?.MAX_AREA_RATIO ?? 0.95);
+        const candidates = [];
+        
+        for (let i = 0; i < contours.size(); i++) {
+            const contour = contours.get(i);
+            const area = cv.contourArea(contour);
+            if (area < minArea || area > maxArea) continue;
+            
+            const epsilon = (CONFIG?.DETECTION?.CONTOUR_APPROX_EPSILON ?? 0.02) * cv.arcLength(contour, true);
+            const approx = new cv.Mat();
+            
+            try {
+                cv.approxPolyDP(contour, approx, epsilon, true);
+                if (approx.rows !== 4 || !cv.isContourConvex(approx)) continue;
+                
+                // Paper is rectangular - reject skewed shapes (shadows, tiles)
+                const rect = cv.minAreaRect(approx);
+                const rectArea = rect.size.width * rect.size.height;
+                const rectangularity = rectArea > 0 ? area / rectArea : 0;
+                if (rectangularity < cfg.MIN_RECTANGULARITY) continue;
+                
+                const pts = [];
+                for (let j = 0; j < 4; j++) {
+                    pts.push({
+                        x: approx.data32S[j * 2],
+                        y: approx.data32S[j * 2 + 1]
+                    });
+                }
+                
+                candidates.push({ ...this._orderCorners(pts), _score: area * rectangularity });
+            } finally {
+                approx.delete();
+            }
+        }
+        
+        candidates.sort((a, b) => b._score - a._score);
+        
+        const quads = [];
+        for (const quad of candidates) {
+            if (quads.length >= cfg.MAX_DOCUMENTS) break;
+            if (!quads.some(kept => Geometry.quadsOverlap(kept, quad))) {
+                quads.push(quad);
+            }
+        }
+        
+        return quads;
+    },
+
     /**
      * Order 4 points as {tl, tr, br, bl}
      */
@@ -279,6 +350,76 @@ const OpenCVDetector = {
     edgeDensity(corners, imageData, w, h) {
         if (!this.isReady() || !corners) return 1.0;
         
+        try {
+            this._edgeMap(imageData);
+            
+            // Sample all 4 edges
+            let edgePixels = 0;
+            let totalSamples = 0;
+            for (const [p1, p2] of this._sides(corners)) {
+                const { hits, samples } = this._edgeHits(p1, p2, w, h);
+                edgePixels += hits;
+                totalSamples += samples;
+            }
+            
+            const density = totalSamples > 0 ? edgePixels / totalSamples : 0;
+            
+            return density;
+            
+        } catch (err) {
+            console.warn('Edge density check failed:', err);
+            return 1.0; // Assume valid on error
+        }
+    },
+
+    /**
+     * Edge support per corner: edge ratio along the part of both adjacent
+     * sides nearest the corner (CONFIG.FUSION.CORNER_SPAN of their length)
+     * 
+     * @param {Object[]} quads - Quads scored against one edge map
+     * @param {ImageData} imageData - Source image data
+     * @param {number} w - Image width
+     * @param {number} h - Image height
+     * @returns {Object[]} Per quad {tl, tr, br, bl} 0.0-1.0 (null quad → null)
+     */
+    cornerSupport(quads, imageData, w, h) {
+        if (!this.isReady()) return quads.map(() => null);
+        
+        try {
+            this._edgeMap(imageData);
+        } catch (err) {
+            console.warn('Corner support check failed:', err);
+            return quads.map(() => null);
+        }
+        
+        const span = CONFIG.FUSION.CORNER_SPAN;
+        const toward = (from, to) => ({
+            x: from.x + (to.x - from.x) * span,
+            y: from.y + (to.y - from.y) * span
+        });
+        const neighbours = { tl: ['tr', 'bl'], tr: ['tl', 'br'], br: ['tr', 'bl'], bl: ['tl', 'br'] };
+        
+        return quads.map(quad => {
+            if (!quad) return null;
+            
+            const support = {};
+            for (const key of ['tl', 'tr', 'br', 'bl']) {
+                let hits = 0, samples = 0;
+                for (const other of neighbours[key]) {
+                    const part = this._edgeHits(quad[key], toward(quad[key], quad[other]), w, h);
+                    hits += part.hits;
+                    samples += part.samples;
+                }
+                support[key] = samples > 0 ? hits / samples : 0;
+            }
+            return support;
+        });
+    },
+
+    /**
+     * Canny edges of the frame into _mats.edges
+     */
+    _edgeMap(imageData) {
         let src = null;
         
         try {
@@ -296,58 +437,50 @@ const OpenCVDetector = {
             // Blur and detect edges
             cv.GaussianBlur(this._mats.gray, this._mats.blurred, new cv.Size(3, 3), 0);
             cv.Canny(this._mats.blurred, this._mats.edges, low, high);
+        } finally {
+            // FIX: Strict cleanup
+            src?.delete();
+        }
+    },
+
+    _sides(c) {
+        return [[c.tl, c.tr], [c.tr, c.br], [c.br, c.bl], [c.bl, c.tl]];
+    },
+
+    /**
+     * Sample a segment of _mats.edges every 4 px (edge pixel within ±2 px counts)
+     */
+    _edgeHits(p1, p2, w, h) {
+        const sampleStep = 4; // Sample every 4 pixels for speed
+        const dist = Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
+        const steps = Math.max(1, Math.floor(dist / sampleStep));
+        let hits = 0;
+        let samples = 0;
+        
+        for (let i = 0; i <= steps; i++) {
+            const t = steps > 0 ? i / steps : 0;
+            const x = Math.round(p1.x + t * (p2.x - p1.x));
+            const y = Math.round(p1.y + t * (p2.y - p1.y));
             
-            // Sample edges along the 4 sides of the quadrilateral
-            let edgePixels = 0;
-            let totalSamples = 0;
-            const sampleStep = 4; // Sample every 4 pixels for speed
-            
-            // Helper to sample along a line
-            const sampleLine = (p1, p2) => {
-                const dist = Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
-                const steps = Math.max(1, Math.floor(dist / sampleStep));
-                
-                for (let i = 0; i <= steps; i++) {
-                    const t = steps > 0 ? i / steps : 0;
-                    const x = Math.round(p1.x + t * (p2.x - p1.x));
-                    const y = Math.round(p1.y + t * (p2.y - p1.y));
-                    
-                    if (x >= 0 && x < w && y >= 0 && y < h) {
-                        // Check 3x3 neighborhood for edge pixel
-                        let hasEdge = false;
-                        for (let dy = -2; dy <= 2 && !hasEdge; dy++) {
-                            for (let dx = -2; dx <= 2 && !hasEdge; dx++) {
-                                const nx = x + dx, ny = y + dy;
-                                if (nx >= 0 && nx < w && ny >= 0 && ny < h) {
-                                    if (this._mats.edges.ucharAt(ny, nx) > 0) {
-                                        hasEdge = true;
-                                    }
-                                }
+            if (x >= 0 && x < w && y >= 0 && y < h) {
+                // Check 5x5 neighborhood for edge pixel
+                let hasEdge = false;
+                for (let dy = -2; dy <= 2 && !hasEdge; dy++) {
+                    for (let dx = -2; dx <= 2 && !hasEdge; dx++) {
+                        const nx = x + dx, ny = y + dy;
+                        if (nx >= 0 && nx < w && ny >= 0 && ny < h) {
+                            if (this._mats.edges.ucharAt(ny, nx) > 0) {
+                                hasEdge = true;
                             }
                         }
-                        if (hasEdge) edgePixels++;
-                        totalSamples++;
                     }
                 }
-            };
-            
-            // Sample all 4 edges
-            sampleLine(corners.tl, corners.tr); // Top
-            sampleLine(corners.tr, corners.br); // Right
-            sampleLine(corners.br, corners.bl); // Bottom
-            sampleLine(corners.bl, corners.tl); // Left
-            
-            const density = totalSamples > 0 ? edgePixels / totalSamples : 0;
-            
-            return density;
-            
-        } catch (err) {
-            console.warn('Edge density check failed:', err);
-            return 1.0; // Assume valid on error
-        } finally {
-            // FIX: Strict cleanup
-            src?.delete();
+                if (hasEdge) hits++;
+                samples++;
+            }
         }
+        
+        return { hits, samples };
     },
 
     /**
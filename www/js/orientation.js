@@ -0,0 +1,250 @@
+/**
+ * Orientation Module
+ * Detects pages captured sideways or upside down (0/90/180/270°)
+ *
+ * - CNN (CONFIG.ORIENTATION.MODEL_PATH, ONNX Runtime):
+ *     input  [1, 3, S, S] RGB 0-1 (page squashed to S×S)
+ *     output [1, 4] scores for content turned 0/90/180/270° clockwise
+ * - Fallback when the model file is absent (or unsure): text-line profiles.
+ *   Text lines make the row ink profile strongly periodic - if the column
+ *   profile is the periodic one the page is sideways. Up vs down comes from
+ *   the lines themselves: Latin script has more ink above the x-height
+ *   (ascenders, capitals) than below it (descenders).
+ */
+
+const OrientationDetector = {
+
+    session: null,
+    modelReady: false,
+    modelTried: false,
+    loading: null,
+
+    /**
+     * Load the CNN (once, lazily)
+     * @returns {Promise<boolean>} false = use the text-line fallback
+     */
+    async init() {
+        if (this.modelReady) return true;
+        if (this.modelTried || typeof ort === 'undefined') return false;
+        if (this.loading) return this.loading;
+
+        this.loading = this.load().finally(() => {
+            this.loading = null;
+        });
+        return this.loading;
+    },
+
+    async load() {
+        this.modelTried = true;
+
+        try {
+            console.log('🧭 Loading orientation model...');
+            this.session = await ort.InferenceSession.create(CONFIG.ORIENTATION.MODEL_PATH, {
+                executionProviders: ['wasm'],
+                graphOptimizationLevel: 'all'
+            });
+
+            this.modelReady = true;
+            console.log('✅ Orientation model loaded');
+            return true;
+        } catch (err) {
+            console.warn('⚠️ Orientation model not available - using text-line fallback:', err);
+            this.session = null;
+            this.modelReady = false;
+            return false;
+        }
+    },
+
+    /**
+     * Clockwise rotation that makes the page upright
+     * @param {HTMLCanvasElement} canvas - Perspective-corrected page
+     * @returns {Promise<number>} 0 | 90 | 180 | 270 (0 when unsure)
+     */
+    async detect(canvas) {
+        if (!CONFIG.ORIENTATION.ENABLED) return 0;
+
+        if (await this.init()) {
+            try {
+                const angle = await this.predict(canvas);
+                if (angle !== null) {
+                    console.log(`🧭 Orientation ${angle}° (model)`);
+                    return angle;
+                }
+            } catch (err) {
+                console.warn('Orientation model failed, using fallback:', err);
+            }
+        }
+
+        const angle = this.estimate(canvas);
+        console.log(`🧭 Orientation ${angle}° (text lines)`);
+        return angle;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // CNN
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * @returns {Promise<number|null>} null = model not confident
+     */
+    async predict(canvas) {
+        const size = CONFIG.ORIENTATION.INPUT_SIZE;
+
+        const small = document.createElement('canvas');
+        small.width = size;
+        small.height = size;
+        const ctx = small.getContext('2d');
+        ctx.drawImage(canvas, 0, 0, size, size);
+        const pixels = ctx.getImageData(0, 0, size, size).data;
+
+        const plane = size * size;
+        const input = new Float32Array(plane * 3);
+        for (let i = 0; i < plane; i++) {
+            input[i] = pixels[i * 4] / 255;
+            input[i + plane] = pixels[i * 4 + 1] / 255;
+            input[i + plane * 2] = pixels[i * 4 + 2] / 255;
+        }
+
+        const tensor = new ort.Tensor('float32', input, [1, 3, size, size]);
+        const results = await this.session.run({ [this.session.inputNames[0]]: tensor });
+        const scores = Array.from(results[this.session.outputNames[0]].data);
+
+        // Softmax → most likely turn
+        const max = Math.max(...scores);
+        const exp = scores.map(s => Math.exp(s - max));
+        const total = exp.reduce((sum, e) => sum + e, 0);
+        const best = exp.indexOf(Math.max(...exp));
+
+        if (exp[best] / total < CONFIG.ORIENTATION.MIN_MODEL_CONFIDENCE) return null;
+
+        // Content turned k·90° clockwise → rotate back
+        return (4 - best) % 4 * 90;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // TEXT-LINE FALLBACK
+    // ═══════════════════════════════════════════════════════════════
+
+    estimate(canvas) {
+        const cfg = CONFIG.ORIENTATION;
+        const work = ImageProcessor.resize(canvas, cfg.WORK_SIZE);
+        const page = { ink: this.inkMask(work), w: work.width, h: work.height };
+
+        const inked = page.ink.reduce((sum, v) => sum + v, 0) / page.ink.length;
+        if (inked < cfg.MIN_INK) return 0;     // Blank page / photo
+
+        const rows = this.profileContrast(page, 'rows');
+        const cols = this.profileContrast(page, 'cols');
+
+        // Lines run vertically: turn a quarter and decide up / down there
+        if (cols > rows * cfg.LINE_CONTRAST_RATIO) {
+            const balance = this.ascenderBalance(this.rotateQuarter(page));
+            if (Math.abs(balance) < cfg.MIN_BALANCE) return 0;
+            return balance > 0 ? 90 : 270;
+        }
+
+        if (rows > cols * cfg.LINE_CONTRAST_RATIO) {
+            return this.ascenderBalance(page) < -cfg.MIN_BALANCE ? 180 : 0;
+        }
+
+        return 0;
+    },
+
+    inkMask(canvas) {
+        const { width, height } = canvas;
+        const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const gray = new Float32Array(width * height);
+        let mean = 0;
+
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            mean += gray[i];
+        }
+        mean /= gray.length;
+
+        const threshold = mean * CONFIG.ORIENTATION.INK_RATIO;
+        const ink = new Uint8Array(gray.length);
+        for (let i = 0; i < gray.length; i++) {
+            ink[i] = gray[i] < threshold ? 1 : 0;
+        }
+        return ink;
+    },
+
+    /**
+     * Row (or column) ink counts
+     */
+    profile({ ink, w, h }, axis) {
+        const profile = new Float32Array(axis === 'rows' ? h : w);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                if (ink[y * w + x]) profile[axis === 'rows' ? y : x]++;
+            }
+        }
+        return profile;
+    },
+
+    /**
+     * Coefficient of variation of the ink profile - high across text lines
+     */
+    profileContrast(page, axis) {
+        const profile = this.profile(page, axis);
+        const mean = profile.reduce((sum, v) => sum + v, 0) / profile.length;
+        if (mean === 0) return 0;
+
+        let variance = 0;
+        for (const v of profile) variance += (v - mean) * (v - mean);
+        return Math.sqrt(variance / profile.length) / mean;
+    },
+
+    /**
+     * (ink above x-height - ink below) / both, over all text lines
+     * Positive = upright Latin text, negative = upside down
+     */
+    ascenderBalance(page) {
+        const profile = this.profile(page, 'rows');
+        const minInk = page.w * CONFIG.ORIENTATION.MIN_LINE_INK;
+        let above = 0;
+        let below = 0;
+
+        let y = 0;
+        while (y < profile.length) {
+            if (profile[y] <= minInk) {
+                y++;
+                continue;
+            }
+
+            // One text line: run of inked rows
+            const start = y;
+            while (y < profile.length && profile[y] > minInk) y++;
+            const end = y - 1;
+            if (end - start + 1 < CONFIG.ORIENTATION.MIN_LINE_HEIGHT) continue;
+
+            // x-height band: rows with at least half the line's peak ink
+            let peak = 0;
+            for (let r = start; r <= end; r++) peak = Math.max(peak, profile[r]);
+
+            let coreTop = start;
+            while (profile[coreTop] < peak / 2) coreTop++;
+            let coreBottom = end;
+            while (profile[coreBottom] < peak / 2) coreBottom--;
+
+            for (let r = start; r < coreTop; r++) above += profile[r];
+            for (let r = coreBottom + 1; r <= end; r++) below += profile[r];
+        }
+
+        return above + below > 0 ? (above - below) / (above + below) : 0;
+    },
+
+    /**
+     * Ink mask turned 90° clockwise
+     */
+    rotateQuarter({ ink, w, h }) {
+        const rotated = new Uint8Array(ink.length);
+        for (let y = 0; y < w; y++) {
+            for (let x = 0; x < h; x++) {
+                rotated[y * h + x] = ink[(h - 1 - x) * w + y];
+            }
+        }
+        return { ink: rotated, w: h, h: w };
+    }
+};
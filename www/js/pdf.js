@@ -1,20 +1,23 @@
 /**
  * PDF Generator Module
  * Creates PDF from scanned pages using jsPDF
- * With proper Android/Capacitor support
+ * (saving / sharing the file is done by Exporter)
  */
 
 const PDFGenerator = {
     
-    pdfBlob: null,
-    pdfUrl: null,
+    exportInfo: null,       // { bytes, encoding, withinCap } of the last create()
+    
+    // Last export encoding per page { key, dataUrl } (estimate → create reuse)
+    encodeCache: new WeakMap(),
     
     /**
      * Create PDF from pages
-     * @param {Array} pages - Array of { dataUrl, width, height }
+     * @param {Array} pages - Array of { dataUrl, width, height, ocr? }
+     * @param {Object} options - Export options (see CONFIG.PDF.DEFAULTS)
      * @returns {Promise<Blob>} PDF blob
      */
-    async create(pages) {
+    async create(pages, options = {}) {
         if (!pages || pages.length === 0) {
             throw new Error('No pages to create PDF');
         }
@@ -25,234 +28,292 @@ const PDFGenerator = {
         }
         
         const { jsPDF } = window.jspdf || jspdf;
+        const opts = { ...CONFIG.PDF.DEFAULTS, ...options };
         
-        // Get page dimensions from config
-        const pageWidth = CONFIG?.PDF?.PAGE_WIDTH ?? 210;  // A4 width in mm
-        const pageHeight = CONFIG?.PDF?.PAGE_HEIGHT ?? 297; // A4 height in mm
-        const margin = CONFIG?.PDF?.MARGIN ?? 5;
+        // Resample + recompress for the size preset / cap
+        const encoded = await this.encodeForExport(pages, opts);
         
-        // Create PDF
-        const pdf = new jsPDF({
-            orientation: 'portrait',
-            unit: 'mm',
-            format: [pageWidth, pageHeight]
-        });
+        let pdf = null;
         
-        for (let i = 0; i < pages.length; i++) {
-            const page = pages[i];
+        for (let i = 0; i < encoded.pages.length; i++) {
+            const page = encoded.pages[i];
+            const layout = this.layoutPage(page, opts);
+            const orientation = layout.pageWidth > layout.pageHeight ? 'landscape' : 'portrait';
+            const paper = [layout.pageWidth, layout.pageHeight];
             
-            if (i > 0) {
-                pdf.addPage();
+            // Every page gets its own size/orientation - a card back joins its front
+            if (!pdf) {
+                pdf = new jsPDF({ orientation, unit: 'mm', format: paper });
+            } else if (!this.isCardBackOf(page, encoded.pages[i - 1])) {
+                pdf.addPage(paper, orientation);
             }
             
-            // Calculate image dimensions to fit page
-            const availW = pageWidth - (margin * 2);
-            const availH = pageHeight - (margin * 2);
+            const { imgX, imgY, imgW, imgH, clip } = layout;
             
-            const imgAspect = page.width / page.height;
-            const pageAspect = availW / availH;
+            // Fill / actual size can overflow the margins - clip to the printable area
+            if (clip) {
+                pdf.saveGraphicsState();
+                pdf.rect(clip.x, clip.y, clip.w, clip.h, null);
+                pdf.clip();
+                pdf.discardPath();
+            }
             
-            let imgW, imgH, imgX, imgY;
+            // Add image to PDF (bi-tonal pages are 1-bit PNG)
+            const format = page.dataUrl.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+            pdf.addImage(page.dataUrl, format, imgX, imgY, imgW, imgH);
             
-            if (imgAspect > pageAspect) {
-                // Image is wider - fit to width
-                imgW = availW;
-                imgH = availW / imgAspect;
-            } else {
-                // Image is taller - fit to height
-                imgH = availH;
-                imgW = availH * imgAspect;
+            // Invisible OCR text over the image (searchable / copyable)
+            if (page.ocr) {
+                this.addTextLayer(pdf, page.ocr, imgX, imgY, imgW, imgH);
             }
             
-            // Center on page
-            imgX = margin + (availW - imgW) / 2;
-            imgY = margin + (availH - imgH) / 2;
-            
-            // Add image to PDF
-            pdf.addImage(page.dataUrl, 'JPEG', imgX, imgY, imgW, imgH);
+            if (clip) {
+                pdf.restoreGraphicsState();
+            }
         }
         
-        // Store blob for later use
-        this.pdfBlob = pdf.output('blob');
-        
-        // Revoke old URL if exists
-        if (this.pdfUrl) {
-            URL.revokeObjectURL(this.pdfUrl);
-        }
-        this.pdfUrl = URL.createObjectURL(this.pdfBlob);
+        const blob = pdf.output('blob');
+        this.exportInfo = {
+            bytes: blob.size,
+            encoding: encoded.encoding,
+            withinCap: !opts.maxSizeMB || blob.size <= opts.maxSizeMB * 1024 * 1024
+        };
         
-        return this.pdfBlob;
+        return blob;
     },
     
+    // ═══════════════════════════════════════════════════════════════
+    // SIZE CONTROL (presets, estimate, hard cap)
+    // ═══════════════════════════════════════════════════════════════
+    
     /**
-     * Download PDF - Works on Android via Capacitor
+     * Encode pages for the chosen preset, stepping down until under maxSizeMB
+     * @returns {Promise<{ pages, bytes, encoding, withinCap }>}
+     *   pages - copies with export dataUrls, bytes - estimated PDF size
      */
-    async download(filename = 'scan.pdf') {
-        if (!this.pdfBlob) {
-            console.error('No PDF created yet');
-            return false;
-        }
+    async encodeForExport(pages, opts) {
+        const preset = CONFIG.PDF.PRESETS[opts.preset] || CONFIG.PDF.PRESETS.standard;
+        const encoding = { dpi: preset.dpi, quality: preset.quality };
+        const cap = (opts.maxSizeMB || 0) * 1024 * 1024;
+        const limits = CONFIG.PDF.SIZE_CAP;
+        
+        let result = await this.encodePages(pages, opts, encoding);
+        let steps = 0;
         
-        try {
-            // Check if Capacitor Filesystem is available (Android app)
-            if (window.Capacitor && window.Capacitor.Plugins && window.Capacitor.Plugins.Filesystem) {
-                return await this.downloadCapacitor(filename);
+        while (cap && result.bytes > cap && steps++ < limits.MAX_STEPS) {
+            encoding.quality = encoding.quality ?? CONFIG.OUTPUT.JPEG_QUALITY;
+            encoding.dpi = encoding.dpi ?? limits.START_DPI;
+            
+            if (encoding.quality > limits.MIN_QUALITY) {
+                encoding.quality = Math.max(limits.MIN_QUALITY, encoding.quality - limits.QUALITY_STEP);
+            } else if (encoding.dpi > limits.MIN_DPI) {
+                encoding.dpi = Math.max(limits.MIN_DPI, Math.round(encoding.dpi * limits.DPI_STEP));
+            } else {
+                break;
             }
             
-            // Fallback: Browser download
-            return this.downloadBrowser(filename);
+            result = await this.encodePages(pages, opts, encoding);
+        }
+        
+        return { ...result, encoding, withinCap: !cap || result.bytes <= cap };
+    },
+    
+    async encodePages(pages, opts, encoding) {
+        const encoded = [];
+        let bytes = 0;
+        
+        for (const page of pages) {
+            const dataUrl = await this.encodePage(page, opts, encoding);
+            bytes += this.dataUrlBytes(dataUrl) + this.pageOverhead(page);
             
-        } catch (err) {
-            console.error('Download failed:', err);
-            // Ultimate fallback
-            this.downloadBrowser(filename);
-            return false;
+            // Keep original width/height - layout ('actual', 'image') is in source pixels
+            encoded.push({ ...page, dataUrl });
         }
+        
+        return { pages: encoded, bytes };
     },
     
     /**
-     * Download via Capacitor (Android)
+     * Resample a page to encoding.dpi on paper (never upscale) and recompress
+     * B&W filter pages become 1-bit PNG (quality does not apply)
      */
-    async downloadCapacitor(filename) {
-        const { Filesystem, Directory } = window.Capacitor.Plugins;
-        
-        // Convert blob to base64
-        const base64 = await this.blobToBase64(this.pdfBlob);
+    async encodePage(page, opts, encoding) {
+        const bitonal = FilterManager.isBitonal(page.filter);
+        if (!bitonal && !encoding.dpi && !encoding.quality) return page.dataUrl;
         
-        // Save to Downloads folder
-        const result = await Filesystem.writeFile({
-            path: filename,
-            data: base64,
-            directory: Directory.Documents,
-            recursive: true
-        });
+        const scale = this.exportScale(page, opts, encoding.dpi);
+        const maxDim = Math.round(Math.max(page.width, page.height) * scale);
+        const quality = encoding.quality || CONFIG.OUTPUT.JPEG_QUALITY;
+        const key = `${page.dataUrl.length}:${page.dataUrl.slice(-64)}|${maxDim}|${bitonal ? '1bit' : quality}`;
         
-        console.log('✅ PDF saved to:', result.uri);
+        const cached = this.encodeCache.get(page);
+        if (cached && cached.key === key) return cached.dataUrl;
         
-        // Show toast
-        if (window.Capacitor.Plugins.Toast) {
-            window.Capacitor.Plugins.Toast.show({
-                text: `PDF saved to Documents/${filename}`,
-                duration: 'long'
-            });
-        }
+        const image = await ImageProcessor.loadDataUrl(page.dataUrl);
+        const resized = ImageProcessor.resize(image, maxDim);
+        const dataUrl = bitonal
+            ? await Bitonal.toPNG(resized)
+            : resized.toDataURL('image/jpeg', quality);
         
-        return true;
+        this.encodeCache.set(page, { key, dataUrl });
+        return dataUrl;
     },
     
     /**
-     * Download via browser (fallback)
+     * Downscale factor that puts the page at dpi on paper (1 = keep)
      */
-    downloadBrowser(filename) {
-        const a = document.createElement('a');
-        a.href = this.pdfUrl;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        return true;
+    exportScale(page, opts, dpi) {
+        if (!dpi) return 1;
+        
+        const layout = this.layoutPage(page, opts);
+        return Math.min(1, (layout.imgW / 25.4 * dpi) / page.width);
+    },
+    
+    dataUrlBytes(dataUrl) {
+        const comma = dataUrl.indexOf(',');
+        return Math.round((dataUrl.length - comma - 1) * 3 / 4);
+    },
+    
+    pageOverhead(page) {
+        const words = page.ocr ? page.ocr.words.length : 0;
+        return CONFIG.PDF.PAGE_OVERHEAD + words * CONFIG.PDF.OCR_WORD_BYTES;
+    },
+    
+    formatSize(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     },
     
     /**
-     * Share PDF via WhatsApp or system share
+     * Page size and image placement for one page (all values in mm)
+     * @returns {{ pageWidth, pageHeight, imgX, imgY, imgW, imgH, clip }}
      */
-    async share(filename = 'scan.pdf') {
-        if (!this.pdfBlob) {
-            console.error('No PDF created yet');
-            return false;
+    layoutPage(page, opts) {
+        if (page.idCard) return this.layoutIdCard(page);
+        
+        const margin = Math.max(0, opts.margin);
+        const mmPerPx = 25.4 / opts.dpi;
+        const landscapeImage = page.width > page.height;
+        
+        // Fit page to image: paper is the image at the chosen dpi
+        if (opts.pageSize === 'image') {
+            const imgW = page.width * mmPerPx;
+            const imgH = page.height * mmPerPx;
+            return {
+                pageWidth: imgW + margin * 2,
+                pageHeight: imgH + margin * 2,
+                imgX: margin,
+                imgY: margin,
+                imgW,
+                imgH,
+                clip: null
+            };
         }
         
-        try {
-            // Check if Capacitor Share is available (Android app)
-            if (window.Capacitor && window.Capacitor.Plugins && window.Capacitor.Plugins.Share) {
-                return await this.shareCapacitor(filename);
-            }
-            
-            // Fallback: Web Share API
-            return await this.shareWebAPI(filename);
-            
-        } catch (err) {
-            console.error('Share failed:', err);
-            // Fallback to download
-            await this.download(filename);
-            return false;
+        let [pageWidth, pageHeight] = opts.pageSize === 'custom'
+            ? [opts.customWidth, opts.customHeight]
+            : CONFIG.PDF.PAGE_SIZES[opts.pageSize] || CONFIG.PDF.PAGE_SIZES.a4;
+        
+        const landscape = opts.orientation === 'landscape' ||
+            (opts.orientation === 'auto' && landscapeImage);
+        if (landscape !== pageWidth > pageHeight) {
+            [pageWidth, pageHeight] = [pageHeight, pageWidth];
         }
-    },
-    
-    /**
-     * Share via Capacitor (Android)
-     */
-    async shareCapacitor(filename) {
-        const { Filesystem, Directory, Share } = window.Capacitor.Plugins;
         
-        // First save the file
-        const base64 = await this.blobToBase64(this.pdfBlob);
+        const availW = pageWidth - margin * 2;
+        const availH = pageHeight - margin * 2;
+        const imgAspect = page.width / page.height;
+        
+        let imgW, imgH;
         
-        const fileResult = await Filesystem.writeFile({
-            path: filename,
-            data: base64,
-            directory: Directory.Cache,
-            recursive: true
-        });
+        if (opts.fit === 'actual') {
+            imgW = page.width * mmPerPx;
+            imgH = page.height * mmPerPx;
+        } else if ((opts.fit === 'fill') === (imgAspect > availW / availH)) {
+            // Fill: cover the area (height decides for wide images) / Fit: tall images
+            imgH = availH;
+            imgW = availH * imgAspect;
+        } else {
+            imgW = availW;
+            imgH = availW / imgAspect;
+        }
         
-        // Now share it
-        await Share.share({
-            title: 'Scanned Document',
-            text: 'Scanned with SmartScanner',
-            url: fileResult.uri,
-            dialogTitle: 'Share PDF'
-        });
+        const overflow = imgW > availW + 0.01 || imgH > availH + 0.01;
         
-        return true;
+        // Center on page
+        return {
+            pageWidth,
+            pageHeight,
+            imgX: margin + (availW - imgW) / 2,
+            imgY: margin + (availH - imgH) / 2,
+            imgW,
+            imgH,
+            clip: overflow ? { x: margin, y: margin, w: availW, h: availH } : null
+        };
     },
     
     /**
-     * Share via Web Share API
+     * ID card side at true size: front in the upper, back in the lower half
+     * of the sheet (page size / margins / fit options do not apply)
      */
-    async shareWebAPI(filename) {
-        if (!navigator.share || !navigator.canShare) {
-            throw new Error('Web Share API not available');
-        }
-        
-        const file = new File([this.pdfBlob], filename, { type: 'application/pdf' });
+    layoutIdCard(page) {
+        const cfg = CONFIG.ID_CARD;
+        const card = cfg.FORMATS[page.idCard.format] || cfg.FORMATS.id1;
+        const [pageWidth, pageHeight] = CONFIG.PDF.PAGE_SIZES[cfg.PAGE_SIZE];
         
-        if (!navigator.canShare({ files: [file] })) {
-            throw new Error('Cannot share PDF files');
-        }
+        // Portrait captures are cards held upright
+        const [imgW, imgH] = page.width >= page.height
+            ? [card.width, card.height]
+            : [card.height, card.width];
         
-        await navigator.share({
-            files: [file],
-            title: 'Scanned Document',
-            text: 'Scanned with SmartScanner'
-        });
+        const top = (pageHeight - imgH * 2 - cfg.GAP) / 2;
         
-        return true;
+        return {
+            pageWidth,
+            pageHeight,
+            imgX: (pageWidth - imgW) / 2,
+            imgY: page.idCard.side === 'back' ? top + imgH + cfg.GAP : top,
+            imgW,
+            imgH,
+            clip: null
+        };
     },
     
     /**
-     * Convert Blob to Base64
+     * Back of the card whose front is the previous page (same sheet)
      */
-    blobToBase64(blob) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                // Remove data URL prefix
-                const base64 = reader.result.split(',')[1];
-                resolve(base64);
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
+    isCardBackOf(page, previous) {
+        return Boolean(page.idCard && previous && previous.idCard) &&
+            page.idCard.side === 'back' &&
+            previous.idCard.side === 'front' &&
+            page.idCard.format === previous.idCard.format;
     },
     
     /**
-     * Clear stored PDF
+     * Write OCR words as invisible text positioned over the page image
+     * @param {Object} ocr - { width, height, words: [{ text, x, y, w, h }] }
      */
-    clear() {
-        if (this.pdfUrl) {
-            URL.revokeObjectURL(this.pdfUrl);
+    addTextLayer(pdf, ocr, imgX, imgY, imgW, imgH) {
+        const scaleX = imgW / ocr.width;
+        const scaleY = imgH / ocr.height;
+        const ptPerMm = 72 / 25.4;
+        
+        pdf.setFont('helvetica', 'normal');
+        
+        for (const word of ocr.words) {
+            const height = word.h * scaleY;
+            const width = word.w * scaleX;
+            if (height <= 0 || width <= 0) continue;
+            
+            // Font size from the word box; stretch horizontally to the box width
+            pdf.setFontSize(height * ptPerMm);
+            const naturalWidth = pdf.getTextWidth(word.text);
+            
+            pdf.text(word.text, imgX + word.x * scaleX, imgY + (word.y + word.h) * scaleY, {
+                renderingMode: 'invisible',
+                baseline: 'bottom',
+                horizontalScale: naturalWidth > 0 ? width / naturalWidth : 1
+            });
         }
-        this.pdfBlob = null;
-        this.pdfUrl = null;
     }
 };
@@ -0,0 +1,284 @@
+/**
+ * Image Quality Module
+ * Frame checks run on the preview ROI inside the detected quad
+ *
+ * - Sharpness: variance of the Laplacian (low = motion blur / out of focus)
+ * - Glare: fraction of blown-out, colourless pixels that outshine the paper
+ *   around them (specular reflection - a clean white page is not glare)
+ * - Exposure: mean brightness (too dark) and clipped pixels (overexposed)
+ * - Area: how much of the frame the document fills
+ *
+ * analyzePage() runs the same checks on a captured, corrected page.
+ *
+ * Also produces a tiny grayscale signature of the document so auto-capture
+ * can tell a new page from the one it just captured.
+ */
+
+const ImageQuality = {
+
+    CONFIG: {
+        INSET: 0.1,             // Shrink quad 10% towards center (ignore paper edges)
+        GLARE_VALUE: 250,       // Channel max at or above = blown out
+        GLARE_CHROMA: 20,       // ...and near-colourless
+        GLARE_CONTRAST: 20,     // ...and this much brighter than the local paper
+        PAPER_GRID: 8,          // Paper brightness per cell of an 8x8 grid over the ROI
+        PAPER_PERCENTILE: 0.75, // Cell brightness at this percentile = paper (ignores text)
+        SIGNATURE_SIZE: 16      // Signature grid (16x16 cells)
+    },
+
+    /**
+     * Analyze the document region of a frame
+     * @param {ImageData} imageData - Preview frame
+     * @param {number} w - Frame width
+     * @param {number} h - Frame height
+     * @param {Object} corners - Quad in frame coordinates
+     * @param {Object} limits - { MIN_SHARPNESS, MAX_GLARE_RATIO, MIN_AREA_RATIO,
+     *                            MIN_BRIGHTNESS, MAX_OVEREXPOSED_RATIO }
+     * @returns {{ ok, reason, message, sharpness, glareRatio, areaRatio, brightness, overexposedRatio }}
+     */
+    analyze(imageData, w, h, corners, limits = CONFIG.AUTO_CAPTURE) {
+        const areaRatio = Geometry.quadArea(corners) / (w * h);
+        const roi = this.insetCorners(corners, this.CONFIG.INSET);
+        const box = this.boundingBox(roi, w, h);
+        const data = imageData.data;
+
+        const bw = box.x1 - box.x0;
+        const bh = box.y1 - box.y0;
+        const gray = new Float32Array(bw * bh);
+        const inside = new Uint8Array(bw * bh);
+        const blown = new Uint8Array(bw * bh);
+        const histograms = new Uint32Array(this.CONFIG.PAPER_GRID ** 2 * 256);
+
+        let pixels = 0;
+        let clipped = 0;
+        let brightness = 0;
+
+        for (let y = 0; y < bh; y++) {
+            for (let x = 0; x < bw; x++) {
+                const px = box.x0 + x;
+                const py = box.y0 + y;
+                if (!Geometry.pointInQuad(px + 0.5, py + 0.5, roi)) continue;
+
+                const idx = (py * w + px) * 4;
+                const r = data[idx], g = data[idx + 1], b = data[idx + 2];
+                const max = Math.max(r, g, b);
+                const min = Math.min(r, g, b);
+
+                const value = 0.299 * r + 0.587 * g + 0.114 * b;
+                gray[y * bw + x] = value;
+                inside[y * bw + x] = 1;
+                pixels++;
+                brightness += value;
+                histograms[this.cellOf(x, y, bw, bh) * 256 + Math.round(value)]++;
+
+                if (max >= this.CONFIG.GLARE_VALUE) {
+                    clipped++;
+                    if (max - min <= this.CONFIG.GLARE_CHROMA) blown[y * bw + x] = 1;
+                }
+            }
+        }
+
+        // Laplacian variance over pixels whose 4 neighbours are inside too
+        let sum = 0, sumSq = 0, count = 0;
+        for (let y = 1; y < bh - 1; y++) {
+            for (let x = 1; x < bw - 1; x++) {
+                const i = y * bw + x;
+                if (!inside[i] || !inside[i - 1] || !inside[i + 1] || !inside[i - bw] || !inside[i + bw]) continue;
+
+                const lap = gray[i - 1] + gray[i + 1] + gray[i - bw] + gray[i + bw] - 4 * gray[i];
+                sum += lap;
+                sumSq += lap * lap;
+                count++;
+            }
+        }
+
+        // Glare = blown-out pixels above the paper around them
+        const paper = this.paperLevels(histograms);
+        let glare = 0;
+        for (let y = 0; y < bh; y++) {
+            for (let x = 0; x < bw; x++) {
+                const i = y * bw + x;
+                if (blown[i] && gray[i] - paper[this.cellOf(x, y, bw, bh)] >= this.CONFIG.GLARE_CONTRAST) glare++;
+            }
+        }
+
+        const mean = count ? sum / count : 0;
+        const sharpness = count ? sumSq / count - mean * mean : 0;
+        const glareRatio = pixels ? glare / pixels : 0;
+        const overexposedRatio = pixels ? clipped / pixels : 0;
+        brightness = pixels ? brightness / pixels : 0;
+
+        const result = {
+            ok: true, reason: null, message: null,
+            sharpness, glareRatio, areaRatio, brightness, overexposedRatio
+        };
+
+        if (areaRatio < limits.MIN_AREA_RATIO) {
+            return { ...result, ok: false, reason: 'small', message: 'Move closer to the document' };
+        }
+        if (brightness < limits.MIN_BRIGHTNESS) {
+            return { ...result, ok: false, reason: 'dark', message: 'Too dark - add light' };
+        }
+        // Most of the page clipped is exposure, not a reflection
+        if (overexposedRatio > limits.MAX_OVEREXPOSED_RATIO) {
+            return { ...result, ok: false, reason: 'bright', message: 'Too bright - avoid direct light' };
+        }
+        if (glareRatio > limits.MAX_GLARE_RATIO) {
+            return { ...result, ok: false, reason: 'glare', message: 'Glare detected - tilt slightly' };
+        }
+        if (sharpness < limits.MIN_SHARPNESS) {
+            return { ...result, ok: false, reason: 'blur', message: 'Blurry - hold steady' };
+        }
+
+        return result;
+    },
+
+    /**
+     * Same checks on a captured page (whole page, no area limit)
+     * @param {HTMLCanvasElement} canvas - Corrected page
+     * @param {Object} limits - See analyze()
+     */
+    analyzePage(canvas, limits = CONFIG.CAPTURE_QUALITY) {
+        const work = ImageProcessor.resize(canvas, CONFIG.CAPTURE_QUALITY.WORK_SIZE);
+        const { width, height } = work;
+        const imageData = work.getContext('2d').getImageData(0, 0, width, height);
+        const corners = {
+            tl: { x: 0, y: 0 },
+            tr: { x: width, y: 0 },
+            br: { x: width, y: height },
+            bl: { x: 0, y: height }
+        };
+
+        return this.analyze(imageData, width, height, corners, { ...limits, MIN_AREA_RATIO: 0 });
+    },
+
+    /**
+     * Grayscale signature of the quad region (SIGNATURE_SIZE² cell means)
+     * @returns {Float32Array}
+     */
+    signature(imageData, w, h, corners) {
+        const size = this.CONFIG.SIGNATURE_SIZE;
+        const box = this.boundingBox(this.insetCorners(corners, this.CONFIG.INSET), w, h);
+        const data = imageData.data;
+        const cellW = (box.x1 - box.x0) / size;
+        const cellH = (box.y1 - box.y0) / size;
+        const result = new Float32Array(size * size);
+
+        for (let cy = 0; cy < size; cy++) {
+            for (let cx = 0; cx < size; cx++) {
+                // Sample a 3x3 grid inside each cell
+                let total = 0;
+                for (let sy = 1; sy <= 3; sy++) {
+                    for (let sx = 1; sx <= 3; sx++) {
+                        const px = Math.floor(box.x0 + (cx + sx / 4) * cellW);
+                        const py = Math.floor(box.y0 + (cy + sy / 4) * cellH);
+                        const idx = (py * w + px) * 4;
+                        total += 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+                    }
+                }
+                result[cy * size + cx] = total / 9;
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Mean absolute difference between two signatures (0-255)
+     */
+    difference(a, b) {
+        if (!a || !b || a.length !== b.length) return Infinity;
+
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff += Math.abs(a[i] - b[i]);
+        }
+        return diff / a.length;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Paper grid cell of an ROI pixel
+     */
+    cellOf(x, y, bw, bh) {
+        const grid = this.CONFIG.PAPER_GRID;
+        return Math.floor(y * grid / bh) * grid + Math.floor(x * grid / bw);
+    },
+
+    /**
+     * Paper brightness around each cell: the cell's PAPER_PERCENTILE
+     * brightness, median over its 3x3 neighbourhood - a glare spot raises
+     * its own cells, not the level it is compared against
+     * @param {Uint32Array} histograms - 256 bins per cell
+     * @returns {Float32Array} Level per cell
+     */
+    paperLevels(histograms) {
+        const grid = this.CONFIG.PAPER_GRID;
+        const cells = new Array(grid * grid).fill(null);
+
+        for (let c = 0; c < cells.length; c++) {
+            const bins = histograms.subarray(c * 256, (c + 1) * 256);
+            const total = bins.reduce((sum, n) => sum + n, 0);
+            if (!total) continue;
+
+            let seen = 0;
+            for (let v = 0; v < 256; v++) {
+                seen += bins[v];
+                if (seen >= total * this.CONFIG.PAPER_PERCENTILE) {
+                    cells[c] = v;
+                    break;
+                }
+            }
+        }
+
+        const levels = new Float32Array(cells.length).fill(255);
+        for (let cy = 0; cy < grid; cy++) {
+            for (let cx = 0; cx < grid; cx++) {
+                const around = [];
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = cx + dx, ny = cy + dy;
+                        if (nx < 0 || ny < 0 || nx >= grid || ny >= grid) continue;
+                        if (cells[ny * grid + nx] !== null) around.push(cells[ny * grid + nx]);
+                    }
+                }
+                if (!around.length) continue;
+
+                around.sort((a, b) => a - b);
+                levels[cy * grid + cx] = around[Math.floor(around.length / 2)];
+            }
+        }
+        return levels;
+    },
+
+    insetCorners(corners, amount) {
+        const c = Geometry.center(corners);
+        const inset = (p) => ({
+            x: p.x + (c.x - p.x) * amount,
+            y: p.y + (c.y - p.y) * amount
+        });
+
+        return {
+            tl: inset(corners.tl),
+            tr: inset(corners.tr),
+            br: inset(corners.br),
+            bl: inset(corners.bl)
+        };
+    },
+
+    boundingBox(corners, w, h) {
+        const pts = [corners.tl, corners.tr, corners.br, corners.bl];
+        const xs = pts.map(p => p.x);
+        const ys = pts.map(p => p.y);
+
+        return {
+            x0: Math.max(0, Math.floor(Math.min(...xs))),
+            y0: Math.max(0, Math.floor(Math.min(...ys))),
+            x1: Math.min(w, Math.ceil(Math.max(...xs))),
+            y1: Math.min(h, Math.ceil(Math.max(...ys)))
+        };
+    }
+};
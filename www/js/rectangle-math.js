@@ -42,6 +42,9 @@ const RectangleMath = {
         ASPECT_RATIO_MIN: 0.3,
         ASPECT_RATIO_MAX: 3.0,
         
+        // Exact aspect (long / short side) - ID card mode, set by App
+        TARGET_ASPECT: null,            // { ratio, tolerance } or null
+        
         // Minimum area (% of frame) - lowered for distant documents
         MIN_AREA_RATIO: 0.03,
         
@@ -64,6 +67,7 @@ const RectangleMath = {
         SMOOTH_ALPHA_PREVIEW: 0.4,      // Very responsive - follows camera movement
         SMOOTH_ALPHA_LOCKED: 0.15,      // Slightly smoother when locked
         SMOOTH_ALPHA_FAST: 0.7,         // Very fast catch-up after big movement
+        SMOOTH_ALPHA_TRACKED: 0.9,      // Corners already Kalman-filtered by CornerTracker
         
         // ─────────────────────────────────────────────────
         // STABILITY & LOCKING
@@ -89,8 +93,9 @@ const RectangleMath = {
         // AUTO-CAPTURE
         // ─────────────────────────────────────────────────
         
-        AUTO_CAPTURE_ENABLED: false,     // Disabled - manual capture only
-        AUTO_CAPTURE_DELAY: 400,        // ms after lock before capture
+        AUTO_CAPTURE_ENABLED: false,     // Toggled by App (camera auto/batch button)
+        AUTO_CAPTURE_DELAY: 1200,       // ms countdown after lock before capture
+        AUTO_CAPTURE_RETRY_DELAY: 500,  // ms before retrying when App rejects the frame
         AUTO_CAPTURE_SOUND: true,
     },
     
@@ -120,6 +125,8 @@ const RectangleMath = {
         // Auto-capture state
         autoCaptureScheduled: false,
         autoCaptureTimer: null,
+        autoCaptureStart: null,
+        autoCaptureDelay: 0,
         
         // Frame history for analysis
         frameHistory: [],
@@ -144,7 +151,7 @@ const RectangleMath = {
      * @param {Object|null} rawCorners - Raw detected corners {tl, tr, br, bl}
      * @param {number} frameWidth
      * @param {number} frameHeight
-     * @param {Object} options - { mode: 'preview'|'capture', cornerConfidences: {} }
+     * @param {Object} options - { mode: 'preview'|'capture', cornerConfidences: {}, tracked: boolean }
      * @returns {Object|null} Stabilized corners or null
      */
     process(rawCorners, frameWidth, frameHeight, options = {}) {
@@ -189,7 +196,7 @@ const RectangleMath = {
         this.state.consecutiveRejects = 0;
         
         // Step 6: Apply temporal smoothing (lerp)
-        corners = this.applySmoothing(corners);
+        corners = this.applySmoothing(corners, options.tracked);
         
         // Step 7: Apply movement gating (anti-jitter)
         corners = this.applyMovementGating(corners);
@@ -254,9 +261,27 @@ const RectangleMath = {
             }
         }
         
+        // Check 7: Known document shape (ID card / passport)
+        const target = this.CONFIG.TARGET_ASPECT;
+        if (target) {
+            const aspect = this.measureAspect(corners);
+            if (Math.abs(aspect / target.ratio - 1) > target.tolerance) {
+                return { valid: false, reason: `aspect_mismatch_${aspect.toFixed(2)}` };
+            }
+        }
+        
         return { valid: true, reason: null };
     },
     
+    /**
+     * Long / short side from the averaged opposite edges
+     */
+    measureAspect(c) {
+        const width = (this.distance(c.tl, c.tr) + this.distance(c.bl, c.br)) / 2;
+        const height = (this.distance(c.tl, c.bl) + this.distance(c.tr, c.br)) / 2;
+        return Math.max(width, height) / Math.max(1, Math.min(width, height));
+    },
+    
     /**
      * Check that opposite edges are approximately parallel
      */
@@ -433,7 +458,7 @@ const RectangleMath = {
      * Apply temporal smoothing using linear interpolation
      * newPoint = lerp(previousPoint, detectedPoint, alpha)
      */
-    applySmoothing(corners) {
+    applySmoothing(corners, tracked = false) {
         // Initialize if first frame
         if (!this.state.smoothedCorners) {
             this.state.smoothedCorners = this.cloneCorners(corners);
@@ -445,6 +470,8 @@ const RectangleMath = {
         
         if (this.state.isLocked) {
             alpha = this.CONFIG.SMOOTH_ALPHA_LOCKED;
+        } else if (tracked) {
+            alpha = this.CONFIG.SMOOTH_ALPHA_TRACKED;
         } else {
             // Check for big movement - use faster alpha to catch up
             const movement = this.averageCornerMovement(this.state.smoothedCorners, corners);
@@ -636,19 +663,23 @@ const RectangleMath = {
     /**
      * Schedule auto-capture after delay
      */
-    scheduleAutoCapture() {
+    scheduleAutoCapture(delay = this.CONFIG.AUTO_CAPTURE_DELAY) {
         if (this.state.autoCaptureTimer) {
             clearTimeout(this.state.autoCaptureTimer);
         }
         
         this.state.autoCaptureScheduled = true;
+        this.state.autoCaptureStart = Date.now();
+        this.state.autoCaptureDelay = delay;
         this.state.autoCaptureTimer = setTimeout(() => {
+            this.state.autoCaptureScheduled = false;
+            this.state.autoCaptureTimer = null;
+            this.state.autoCaptureStart = null;
+            
             if (this.state.isLocked) {
                 this.triggerAutoCapture();
             }
-            this.state.autoCaptureScheduled = false;
-            this.state.autoCaptureTimer = null;
-        }, this.CONFIG.AUTO_CAPTURE_DELAY);
+        }, delay);
     },
     
     /**
@@ -660,22 +691,37 @@ const RectangleMath = {
             this.state.autoCaptureTimer = null;
         }
         this.state.autoCaptureScheduled = false;
+        this.state.autoCaptureStart = null;
+    },
+    
+    /**
+     * Countdown progress 0-1 (null when nothing is scheduled)
+     */
+    getAutoCaptureProgress() {
+        if (!this.state.autoCaptureScheduled || !this.state.autoCaptureStart) return null;
+        
+        const elapsed = Date.now() - this.state.autoCaptureStart;
+        return Math.min(1, elapsed / this.state.autoCaptureDelay);
     },
     
     /**
      * Trigger auto-capture (calls App)
+     * App returns false when the frame fails its quality gate - retry while locked
      */
     triggerAutoCapture() {
-        console.log('📸 AUTO-CAPTURE');
+        if (typeof App === 'undefined' || !App.handleAutoCapture) return;
         
-        // Play sound if enabled
-        if (this.CONFIG.AUTO_CAPTURE_SOUND) {
-            this.playShutterSound();
-        }
+        const fired = App.handleAutoCapture();
         
-        // Trigger capture in App
-        if (typeof App !== 'undefined' && App.handleAutoCapture) {
-            App.handleAutoCapture();
+        if (fired) {
+            console.log('📸 AUTO-CAPTURE');
+            
+            // Play sound if enabled
+            if (this.CONFIG.AUTO_CAPTURE_SOUND) {
+                this.playShutterSound();
+            }
+        } else if (this.state.isLocked && this.CONFIG.AUTO_CAPTURE_ENABLED) {
+            this.scheduleAutoCapture(this.CONFIG.AUTO_CAPTURE_RETRY_DELAY);
         }
     },
     
@@ -766,6 +812,8 @@ const RectangleMath = {
                 this.state.feedbackMessage = 'Adjust camera angle...';
             } else if (this.state.lastRejectReason.includes('parallel')) {
                 this.state.feedbackMessage = 'Move camera back slightly...';
+            } else if (this.state.lastRejectReason.includes('aspect')) {
+                this.state.feedbackMessage = 'Fit the card in the frame...';
             } else {
                 this.state.feedbackMessage = 'Searching for document...';
             }
@@ -940,7 +988,8 @@ const RectangleMath = {
             feedbackMessage: this.state.feedbackMessage,
             feedbackType: this.state.feedbackType,
             lastRejectReason: this.state.lastRejectReason,
-            autoCaptureScheduled: this.state.autoCaptureScheduled
+            autoCaptureScheduled: this.state.autoCaptureScheduled,
+            autoCaptureProgress: this.getAutoCaptureProgress()
         };
     },
     
@@ -986,6 +1035,8 @@ const RectangleMath = {
             lockTime: null,
             autoCaptureScheduled: false,
             autoCaptureTimer: null,
+            autoCaptureStart: null,
+            autoCaptureDelay: 0,
             frameHistory: [],
             maxHistoryLength: 10,
             feedbackMessage: 'Searching for document...',
@@ -1002,6 +1053,9 @@ const RectangleMath = {
         this.CONFIG.AUTO_CAPTURE_ENABLED = enabled;
         if (!enabled) {
             this.cancelAutoCapture();
+        } else if (this.state.isLocked && !this.state.autoCaptureScheduled) {
+            // Already locked on a document - start the countdown now
+            this.scheduleAutoCapture();
         }
     },
     
@@ -0,0 +1,53 @@
+/**
+ * Settings Module
+ * User preferences persisted in localStorage
+ * (CONFIG stays frozen - these are the choices the user can change)
+ */
+
+const Settings = {
+
+    STORAGE_KEY: 'smartscanner.settings',
+
+    DEFAULTS: {
+        autoCaptureMode: 'off',     // 'off' | 'auto' | 'batch'
+        scanMode: 'document',       // 'document' | 'book' | 'spread' | 'multi' | 'idcard'
+        spreadRTL: false,           // Spread pages right → left
+        idCardFormat: 'id1',        // 'id1' (card) | 'id3' (passport)
+        autoDeskew: true,           // Straighten small tilt after cropping
+        voiceGuidance: false,       // Speak camera hints (accessibility)
+        pdfOptions: null            // Last PDF export options (null = CONFIG.PDF.DEFAULTS)
+    },
+
+    values: null,
+
+    /**
+     * Load saved settings (falls back to defaults)
+     */
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('⚠️ Settings unreadable, using defaults:', err);
+        }
+
+        this.values = { ...this.DEFAULTS, ...saved };
+        return this.values;
+    },
+
+    get(key) {
+        if (!this.values) this.load();
+        return this.values[key];
+    },
+
+    set(key, value) {
+        if (!this.values) this.load();
+        this.values[key] = value;
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.values));
+        } catch (err) {
+            console.warn('⚠️ Settings not saved:', err);
+        }
+    }
+};
@@ -0,0 +1,114 @@
+/**
+ * Book Spread Module
+ * Splits a corrected two-page spread into its pages at the gutter
+ *
+ * The gutter is the column near the centre that is darker than its
+ * neighbourhood (fold shadow) and free of text. Without clear evidence
+ * the spread is split in the middle.
+ */
+
+const BookSpread = {
+
+    /**
+     * Split a spread into left and right page, each deskewed
+     * @param {HTMLCanvasElement} canvas - Perspective-corrected spread
+     * @param {Object} options - { deskew } straighten each half (default on)
+     * @returns {{ left: HTMLCanvasElement, right: HTMLCanvasElement, gutter: number }}
+     */
+    split(canvas, { deskew = true } = {}) {
+        const gutter = this.findGutter(canvas);
+        const straighten = (page) => deskew ? ImageProcessor.deskew(page) : page;
+
+        const left = this.cropColumns(canvas, 0, gutter);
+        const right = this.cropColumns(canvas, gutter, canvas.width);
+
+        console.log(`📖 Spread split at x=${gutter} (${Math.round(gutter / canvas.width * 100)}%)`);
+
+        return {
+            left: straighten(left),
+            right: straighten(right),
+            gutter
+        };
+    },
+
+    /**
+     * Gutter x position in canvas pixels
+     */
+    findGutter(canvas) {
+        const cfg = CONFIG.SPREAD;
+        const work = ImageProcessor.resize(canvas, cfg.WORK_SIZE);
+        const { width, height } = work;
+        const data = work.getContext('2d').getImageData(0, 0, width, height).data;
+
+        const gray = new Float32Array(width * height);
+        let mean = 0;
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            mean += gray[i];
+        }
+        mean /= gray.length;
+
+        // Column brightness and text fraction
+        const brightness = new Float32Array(width);
+        const ink = new Float32Array(width);
+        const threshold = mean * cfg.INK_RATIO;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const value = gray[y * width + x];
+                brightness[x] += value;
+                if (value < threshold) ink[x]++;
+            }
+        }
+        for (let x = 0; x < width; x++) {
+            brightness[x] /= height * mean;     // 1 = page average
+            ink[x] /= height;
+        }
+
+        const span = Math.max(2, Math.round(cfg.SHADOW_WINDOW * width));
+        const average = (values, from, to) => {
+            let sum = 0, count = 0;
+            for (let x = Math.max(0, from); x <= Math.min(width - 1, to); x++) {
+                sum += values[x];
+                count++;
+            }
+            return count ? sum / count : 0;
+        };
+
+        const from = Math.round(width * (0.5 - cfg.SEARCH));
+        const to = Math.round(width * (0.5 + cfg.SEARCH));
+        let best = Math.round(width / 2);
+        let bestScore = -Infinity;
+
+        for (let x = from; x <= to; x++) {
+            // Fold shadow: darker than the page on both sides
+            const sides = Math.min(
+                average(brightness, x - 2 * span, x - span),
+                average(brightness, x + span, x + 2 * span)
+            );
+            const depth = Math.max(0, sides - average(brightness, x - 1, x + 1));
+            const text = average(ink, x - span / 2, x + span / 2);
+            const offCentre = Math.abs(x - width / 2) / width;
+
+            const score = depth - text - offCentre * 0.1;
+            if (score > bestScore) {
+                bestScore = score;
+                best = x;
+            }
+        }
+
+        if (bestScore < cfg.MIN_SCORE) {
+            console.log('📖 No clear gutter - splitting in the middle');
+            best = width / 2;
+        }
+
+        return Math.round(best * canvas.width / width);
+    },
+
+    cropColumns(canvas, x0, x1) {
+        const out = document.createElement('canvas');
+        out.width = x1 - x0;
+        out.height = canvas.height;
+        out.getContext('2d').drawImage(canvas, x0, 0, out.width, out.height, 0, 0, out.width, out.height);
+        return out;
+    }
+};
@@ -0,0 +1,548 @@
+/**
+ * Document Store Module
+ * Persistent multi-document library
+ *
+ * Storage backends:
+ * - Native App: Capacitor Filesystem (Directory.Data, JSON + image files)
+ * - Browser: IndexedDB (documents + images object stores)
+ *
+ * Document record:
+ *   { id, name, createdAt, modifiedAt, thumbnail, thumbnailPageId, pages: [PageRecord] }
+ * Page record:
+ *   { id, width, height, source, original, processed, unrotated, corners, filter, adjustments, rotation, ocr }
+ *   source    - full capture frame the page was cropped from
+ *   original  - perspective-corrected page before filtering
+ *   processed - final filtered page
+ *   unrotated - processed page without the user rotation (only read while rotation != 0)
+ *   (image fields are paths, e.g. "<docId>/<pageId>_processed.jpg")
+ *   corners/filter/adjustments - settings used, so pages can be re-cropped
+ *   and re-filtered without rescanning
+ *   rotation - user rotation (0/90/180/270) baked into processed only
+ *   ocr - recognized text + word boxes (null until OCR has run)
+ */
+
+const DocumentStore = {
+
+    backend: null,
+    ready: false,
+
+    CONFIG: {
+        DB_NAME: 'smartscanner',
+        DB_VERSION: 1,
+        ROOT_DIR: 'library',
+        THUMB_SIZE: 240,
+        THUMB_QUALITY: 0.7
+    },
+
+    /**
+     * Initialize storage backend
+     */
+    async init() {
+        const isNative = typeof Capacitor !== 'undefined' && Capacitor.isNativePlatform() &&
+            Capacitor.Plugins && Capacitor.Plugins.Filesystem;
+
+        this.backend = isNative ? this.backends.filesystem : this.backends.indexedDB;
+
+        try {
+            await this.backend.open(this.CONFIG);
+            this.ready = true;
+            console.log(`✅ DocumentStore ready (${isNative ? 'Filesystem' : 'IndexedDB'})`);
+        } catch (err) {
+            console.error('❌ DocumentStore init failed:', err);
+            this.ready = false;
+        }
+
+        return this.ready;
+    },
+
+    isReady() {
+        return this.ready;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // DOCUMENTS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * List all documents, most recently modified first
+     */
+    async list() {
+        const docs = await this.backend.getAllDocuments();
+        return docs.sort((a, b) => b.modifiedAt - a.modifiedAt);
+    },
+
+    async get(id) {
+        return this.backend.getDocument(id);
+    },
+
+    /**
+     * Create a new empty document record
+     * Not stored until the first save() (empty scans don't clutter the library)
+     */
+    create(name) {
+        const now = Date.now();
+        return {
+            id: this.generateId('doc'),
+            name: name || this.defaultName(now),
+            createdAt: now,
+            modifiedAt: now,
+            thumbnail: null,
+            thumbnailPageId: null,
+            pages: []
+        };
+    },
+
+    /**
+     * Persist document metadata (bumps modifiedAt, refreshes thumbnail)
+     */
+    async save(doc, firstPageDataUrl) {
+        doc.modifiedAt = Date.now();
+
+        if (doc.pages.length === 0) {
+            doc.thumbnail = null;
+            doc.thumbnailPageId = null;
+        } else if (doc.thumbnailPageId !== doc.pages[0].id || firstPageDataUrl) {
+            const dataUrl = firstPageDataUrl || await this.getImage(doc.pages[0].processed);
+            doc.thumbnail = dataUrl ? await this.makeThumbnail(dataUrl) : null;
+            doc.thumbnailPageId = doc.pages[0].id;
+        }
+
+        await this.backend.putDocument(doc);
+        return doc;
+    },
+
+    async rename(id, name) {
+        const doc = await this.get(id);
+        if (!doc) throw new Error('Document not found');
+
+        doc.name = name.trim() || doc.name;
+        doc.modifiedAt = Date.now();
+        await this.backend.putDocument(doc);
+        return doc;
+    },
+
+    /**
+     * Duplicate a document including all page images
+     */
+    async duplicate(id) {
+        const source = await this.get(id);
+        if (!source) throw new Error('Document not found');
+
+        const now = Date.now();
+        const copy = {
+            ...source,
+            id: this.generateId('doc'),
+            name: `${source.name} (copy)`,
+            createdAt: now,
+            modifiedAt: now,
+            pages: []
+        };
+
+        for (const page of source.pages) {
+            copy.pages.push(await this.copyPage(copy, page));
+        }
+
+        await this.backend.putDocument(copy);
+        return copy;
+    },
+
+    /**
+     * Delete a document and all its images
+     */
+    async remove(id) {
+        const doc = await this.get(id);
+        if (!doc) return;
+
+        await this.backend.deleteDocument(doc);
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // PAGES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Create a page record and store its images
+     * @param {Object} doc - Owning document
+     * @param {Object} images - { processed, original?, source?, unrotated? } data URLs
+     * @param {Object} info - { width, height, corners?, filter?, adjustments? }
+     * @returns {Promise<Object>} Page record
+     */
+    async addPage(doc, images, info) {
+        const pageId = this.generateId('page');
+        const page = {
+            id: pageId,
+            source: null,
+            original: null,
+            processed: null,
+            unrotated: null,
+            ...this.pageMetadata(info)
+        };
+
+        for (const kind of this.IMAGE_KINDS) {
+            if (images[kind]) {
+                page[kind] = await this.putImage(doc.id, pageId, kind, images[kind]);
+            }
+        }
+
+        return page;
+    },
+
+    /**
+     * Update an existing page after re-crop / re-filter
+     * @param {Object} images - Only the images that changed
+     */
+    async updatePage(doc, page, images, info) {
+        for (const kind of this.IMAGE_KINDS) {
+            if (images[kind]) {
+                await this.updatePageImage(doc, page, kind, images[kind]);
+            }
+        }
+
+        Object.assign(page, this.pageMetadata(info));
+        return page;
+    },
+
+    /**
+     * Non-image page fields kept in the record
+     */
+    pageMetadata(info) {
+        return {
+            width: info.width,
+            height: info.height,
+            corners: info.corners || null,
+            filter: info.filter || null,
+            adjustments: info.adjustments ? { ...info.adjustments } : null,
+            rotation: info.rotation || 0,
+            autoRotation: info.autoRotation || 0,
+            scanMode: info.scanMode || 'document',
+            idCard: info.idCard || null,
+            ocr: info.ocr || null
+        };
+    },
+
+    /**
+     * Replace an image of an existing page
+     */
+    async updatePageImage(doc, page, kind, dataUrl) {
+        if (page[kind]) {
+            await this.backend.deleteImage(page[kind]);
+        }
+        page[kind] = await this.putImage(doc.id, page.id, kind, dataUrl);
+        return page;
+    },
+
+    /**
+     * Delete all images belonging to a page record
+     */
+    async removePageImages(page) {
+        for (const path of this.pageImagePaths(page)) {
+            await this.backend.deleteImage(path);
+        }
+    },
+
+    /**
+     * Copy a page record (and its images) into a document
+     */
+    async copyPage(doc, page) {
+        const pageId = this.generateId('page');
+        const copy = { ...page, id: pageId };
+
+        for (const kind of this.IMAGE_KINDS) {
+            if (!page[kind]) continue;
+            const dataUrl = await this.getImage(page[kind]);
+            copy[kind] = dataUrl ? await this.putImage(doc.id, pageId, kind, dataUrl) : null;
+        }
+
+        return copy;
+    },
+
+    /**
+     * Load the processed images of a document for display/export
+     * @returns {Promise<Object>} { pages: [{ id, dataUrl, width, height, corners, filter, adjustments, rotation, ocr }],
+     *          missing: [PageRecord] } - missing = records whose processed image is gone
+     */
+    async loadPages(doc) {
+        const pages = [];
+        const missing = [];
+
+        for (const record of doc.pages) {
+            const dataUrl = await this.getImage(record.processed);
+            if (!dataUrl) {
+                console.warn(`Missing image for page ${record.id}`);
+                missing.push(record);
+                continue;
+            }
+            pages.push({
+                id: record.id,
+                dataUrl,
+                ...this.pageMetadata(record)
+            });
+        }
+
+        return { pages, missing };
+    },
+
+    // Page record fields that reference stored images
+    IMAGE_KINDS: ['source', 'original', 'processed', 'unrotated'],
+
+    pageImagePaths(page) {
+        return this.IMAGE_KINDS.map(kind => page[kind]).filter(Boolean);
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // IMAGES
+    // ═══════════════════════════════════════════════════════════════
+
+    async putImage(docId, pageId, kind, dataUrl) {
+        const ext = dataUrl.startsWith('data:image/png') ? 'png' : 'jpg';
+        const path = `${docId}/${pageId}_${kind}.${ext}`;
+        await this.backend.putImage(path, dataUrl);
+        return path;
+    },
+
+    async getImage(path) {
+        if (!path) return null;
+        return this.backend.getImage(path);
+    },
+
+    /**
+     * Create small JPEG thumbnail for the library list
+     */
+    makeThumbnail(dataUrl) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, this.CONFIG.THUMB_SIZE / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+
+                const ctx = canvas.getContext('2d');
+                ctx.imageSmoothingQuality = 'high';
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+                resolve(canvas.toDataURL('image/jpeg', this.CONFIG.THUMB_QUALITY));
+            };
+            img.onerror = () => resolve(null);
+            img.src = dataUrl;
+        });
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // UTILITY FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════
+
+    generateId(prefix) {
+        const random = Math.random().toString(36).slice(2, 8);
+        return `${prefix}_${Date.now().toString(36)}${random}`;
+    },
+
+    defaultName(timestamp) {
+        const d = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `Scan ${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+            `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    },
+
+    /**
+     * Make a document name safe for use as a file name
+     */
+    fileName(doc, extension) {
+        const base = (doc?.name || 'scanned_document')
+            .replace(/[\\/:*?"<>|]+/g, '')
+            .replace(/\s+/g, '_')
+            .slice(0, 80) || 'scanned_document';
+        return `${base}.${extension}`;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // BACKENDS
+    // ═══════════════════════════════════════════════════════════════
+
+    backends: {
+
+        /**
+         * IndexedDB backend (browser)
+         */
+        indexedDB: {
+            db: null,
+
+            open(config) {
+                return new Promise((resolve, reject) => {
+                    if (!window.indexedDB) {
+                        reject(new Error('IndexedDB not available'));
+                        return;
+                    }
+
+                    const request = indexedDB.open(config.DB_NAME, config.DB_VERSION);
+
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        if (!db.objectStoreNames.contains('documents')) {
+                            db.createObjectStore('documents', { keyPath: 'id' });
+                        }
+                        if (!db.objectStoreNames.contains('images')) {
+                            db.createObjectStore('images');
+                        }
+                    };
+
+                    request.onsuccess = () => {
+                        this.db = request.result;
+                        resolve();
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+            },
+
+            /**
+             * Run a single request inside a transaction
+             */
+            request(storeName, mode, fn) {
+                return new Promise((resolve, reject) => {
+                    const tx = this.db.transaction(storeName, mode);
+                    const req = fn(tx.objectStore(storeName));
+                    tx.oncomplete = () => resolve(req ? req.result : undefined);
+                    tx.onerror = () => reject(tx.error);
+                    tx.onabort = () => reject(tx.error);
+                });
+            },
+
+            getAllDocuments() {
+                return this.request('documents', 'readonly', store => store.getAll());
+            },
+
+            getDocument(id) {
+                return this.request('documents', 'readonly', store => store.get(id));
+            },
+
+            putDocument(doc) {
+                return this.request('documents', 'readwrite', store => store.put(doc));
+            },
+
+            async deleteDocument(doc) {
+                for (const page of doc.pages) {
+                    for (const path of DocumentStore.pageImagePaths(page)) {
+                        await this.deleteImage(path);
+                    }
+                }
+                await this.request('documents', 'readwrite', store => store.delete(doc.id));
+            },
+
+            putImage(path, dataUrl) {
+                return this.request('images', 'readwrite', store => store.put(dataUrl, path));
+            },
+
+            getImage(path) {
+                return this.request('images', 'readonly', store => store.get(path));
+            },
+
+            deleteImage(path) {
+                return this.request('images', 'readwrite', store => store.delete(path));
+            }
+        },
+
+        /**
+         * Capacitor Filesystem backend (native app)
+         * library/<docId>/document.json + library/<docId>/<image files>
+         */
+        filesystem: {
+            root: 'library',
+
+            get fs() {
+                return window.Capacitor.Plugins.Filesystem;
+            },
+
+            get directory() {
+                const { Directory } = window.Capacitor.Plugins;
+                return (Directory && Directory.Data) || 'DATA';
+            },
+
+            async open(config) {
+                this.root = config.ROOT_DIR;
+                try {
+                    await this.fs.mkdir({ path: this.root, directory: this.directory, recursive: true });
+                } catch (err) {
+                    // Already exists
+                }
+            },
+
+            async getAllDocuments() {
+                let entries = [];
+                try {
+                    const result = await this.fs.readdir({ path: this.root, directory: this.directory });
+                    entries = result.files.map(f => (typeof f === 'string' ? f : f.name));
+                } catch (err) {
+                    return [];
+                }
+
+                const docs = [];
+                for (const id of entries) {
+                    const doc = await this.getDocument(id);
+                    if (doc) docs.push(doc);
+                }
+                return docs;
+            },
+
+            async getDocument(id) {
+                try {
+                    const result = await this.fs.readFile({
+                        path: `${this.root}/${id}/document.json`,
+                        directory: this.directory,
+                        encoding: 'utf8'
+                    });
+                    return JSON.parse(result.data);
+                } catch (err) {
+                    return null;
+                }
+            },
+
+            async putDocument(doc) {
+                await this.fs.writeFile({
+                    path: `${this.root}/${doc.id}/document.json`,
+                    data: JSON.stringify(doc),
+                    directory: this.directory,
+                    encoding: 'utf8',
+                    recursive: true
+                });
+            },
+
+            async deleteDocument(doc) {
+                await this.fs.rmdir({
+                    path: `${this.root}/${doc.id}`,
+                    directory: this.directory,
+                    recursive: true
+                });
+            },
+
+            async putImage(path, dataUrl) {
+                await this.fs.writeFile({
+                    path: `${this.root}/${path}`,
+                    data: dataUrl.split(',')[1],
+                    directory: this.directory,
+                    recursive: true
+                });
+            },
+
+            async getImage(path) {
+                try {
+                    const result = await this.fs.readFile({
+                        path: `${this.root}/${path}`,
+                        directory: this.directory
+                    });
+                    const mime = path.endsWith('.png') ? 'image/png' : 'image/jpeg';
+                    return `data:${mime};base64,${result.data}`;
+                } catch (err) {
+                    return null;
+                }
+            },
+
+            async deleteImage(path) {
+                try {
+                    await this.fs.deleteFile({ path: `${this.root}/${path}`, directory: this.directory });
+                } catch (err) {
+                    // Already gone
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,316 @@
+/**
+ * TIFF Module
+ * Multi-page baseline TIFF writer (little-endian, one IFD per page)
+ *
+ * - Colour pages: 8-bit RGB (gray if the page has no colour),
+ *   LZW with horizontal predictor
+ * - B&W filter pages: 1-bit, PackBits
+ */
+
+const TIFFEncoder = {
+
+    // IFD field types
+    SHORT: 3,
+    LONG: 4,
+    RATIONAL: 5,
+
+    // Compression / photometric values
+    COMPRESSION_LZW: 5,
+    COMPRESSION_PACKBITS: 32773,
+    PHOTOMETRIC_BLACK_IS_ZERO: 1,
+    PHOTOMETRIC_RGB: 2,
+
+    /**
+     * Encode one page into compressed strips
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options - { dpi, bitonal }
+     * @returns {Object} Page for build()
+     */
+    encodePage(canvas, { dpi = 300, bitonal = false } = {}) {
+        const { width, height } = canvas;
+
+        // 1-bit rows (1 = white) - PackBits compresses each row separately
+        if (bitonal) {
+            const { rows, rowBytes } = Bitonal.pack(canvas);
+            return {
+                width, height, dpi,
+                bitsPerSample: [1],
+                compression: this.COMPRESSION_PACKBITS,
+                photometric: this.PHOTOMETRIC_BLACK_IS_ZERO,
+                predictor: 1,
+                ...this.makeStrips(rows, rowBytes, height, (strip) => {
+                    const packed = [];
+                    for (let i = 0; i < strip.length; i += rowBytes) {
+                        packed.push(this.packBits(strip.subarray(i, i + rowBytes)));
+                    }
+                    return Bitonal.concat(packed);
+                })
+            };
+        }
+
+        const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+        const gray = this.isGray(data);
+        const samples = gray ? 1 : 3;
+        const rowBytes = width * samples;
+        const raw = new Uint8Array(rowBytes * height);
+
+        for (let i = 0, o = 0; i < data.length; i += 4) {
+            if (gray) {
+                raw[o++] = data[i + 1];
+            } else {
+                raw[o++] = data[i];
+                raw[o++] = data[i + 1];
+                raw[o++] = data[i + 2];
+            }
+        }
+
+        // Horizontal differencing (Predictor 2) - right to left, in place
+        for (let y = 0; y < height; y++) {
+            const start = y * rowBytes;
+            for (let i = start + rowBytes - 1; i >= start + samples; i--) {
+                raw[i] -= raw[i - samples];
+            }
+        }
+
+        return {
+            width, height, dpi,
+            bitsPerSample: gray ? [8] : [8, 8, 8],
+            compression: this.COMPRESSION_LZW,
+            photometric: gray ? this.PHOTOMETRIC_BLACK_IS_ZERO : this.PHOTOMETRIC_RGB,
+            predictor: 2,
+            ...this.makeStrips(raw, rowBytes, height, (strip) => this.lzw(strip))
+        };
+    },
+
+    /**
+     * Assemble encoded pages into one TIFF file
+     * @param {Array} pages - encodePage() results
+     * @returns {Blob} image/tiff
+     */
+    build(pages) {
+        const header = new Uint8Array(8);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint16(0, 0x4949);                // 'II' - little-endian
+        headerView.setUint16(2, 42, true);
+
+        const parts = [header];
+        let offset = header.length;
+        let nextPointer = { view: headerView, pos: 4 };
+
+        pages.forEach((page, index) => {
+            const stripOffsets = [];
+            for (const strip of page.strips) {
+                stripOffsets.push(offset);
+                parts.push(strip);
+                offset += strip.length;
+
+                // IFDs and values must start on a word boundary
+                if (offset & 1) {
+                    parts.push(new Uint8Array(1));
+                    offset++;
+                }
+            }
+
+            const samples = page.bitsPerSample.length;
+            const entries = [
+                [254, this.LONG, [2]],                          // NewSubfileType: page of multi-page
+                [256, this.LONG, [page.width]],
+                [257, this.LONG, [page.height]],
+                [258, this.SHORT, page.bitsPerSample],
+                [259, this.SHORT, [page.compression]],
+                [262, this.SHORT, [page.photometric]],
+                [273, this.LONG, stripOffsets],
+                [277, this.SHORT, [samples]],
+                [278, this.LONG, [page.rowsPerStrip]],
+                [279, this.LONG, page.strips.map(strip => strip.length)],
+                [282, this.RATIONAL, [page.dpi, 1]],            // XResolution
+                [283, this.RATIONAL, [page.dpi, 1]],            // YResolution
+                [284, this.SHORT, [1]],                         // PlanarConfiguration: chunky
+                [296, this.SHORT, [2]],                         // ResolutionUnit: inch
+                [297, this.SHORT, [index, pages.length]]        // PageNumber
+            ];
+            if (page.predictor !== 1) {
+                entries.push([317, this.SHORT, [page.predictor]]);
+            }
+
+            const ifd = this.ifd(entries, offset);
+            nextPointer.view.setUint32(nextPointer.pos, offset, true);
+            nextPointer = ifd.next;
+
+            parts.push(ifd.bytes);
+            offset += ifd.bytes.length;
+        });
+
+        return new Blob(parts, { type: 'image/tiff' });
+    },
+
+    /**
+     * Image file directory (entries sorted by tag) + out-of-line values
+     * @param {Array} entries - [tag, type, values]
+     * @param {number} offset - File offset the IFD is written at
+     */
+    ifd(entries, offset) {
+        const size = (type) => type === this.SHORT ? 2 : 4;
+        const tableSize = 2 + entries.length * 12 + 4;
+
+        let extraSize = 0;
+        for (const [, type, values] of entries) {
+            const bytes = values.length * size(type);
+            if (bytes > 4) extraSize += bytes + (bytes & 1);
+        }
+
+        const bytes = new Uint8Array(tableSize + extraSize);
+        const view = new DataView(bytes.buffer);
+        let extra = tableSize;
+
+        view.setUint16(0, entries.length, true);
+
+        entries.forEach(([tag, type, values], i) => {
+            const pos = 2 + i * 12;
+            const valueSize = size(type);
+            const count = type === this.RATIONAL ? values.length / 2 : values.length;
+
+            view.setUint16(pos, tag, true);
+            view.setUint16(pos + 2, type, true);
+            view.setUint32(pos + 4, count, true);
+
+            // Values up to 4 bytes live in the entry, larger ones after the table
+            let at = pos + 8;
+            if (values.length * valueSize > 4) {
+                view.setUint32(pos + 8, offset + extra, true);
+                at = extra;
+                extra += values.length * valueSize;
+                extra += extra & 1;
+            }
+
+            values.forEach((value, j) => {
+                if (valueSize === 2) view.setUint16(at + j * 2, value, true);
+                else view.setUint32(at + j * 4, value, true);
+            });
+        });
+
+        return { bytes, next: { view, pos: tableSize - 4 } };
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // STRIPS / COMPRESSION
+    // ═══════════════════════════════════════════════════════════════
+
+    makeStrips(raw, rowBytes, height, compress) {
+        const rowsPerStrip = Math.max(1, Math.floor(CONFIG.EXPORT.TIFF_STRIP_BYTES / rowBytes));
+        const strips = [];
+
+        for (let y = 0; y < height; y += rowsPerStrip) {
+            const end = Math.min(height, y + rowsPerStrip);
+            strips.push(compress(raw.subarray(y * rowBytes, end * rowBytes)));
+        }
+
+        return { strips, rowsPerStrip };
+    },
+
+    /**
+     * Pixels with (near) equal channels everywhere - store as gray
+     */
+    isGray(data) {
+        for (let i = 0; i < data.length; i += 4) {
+            if (Math.abs(data[i] - data[i + 1]) > 2 || Math.abs(data[i + 1] - data[i + 2]) > 2) {
+                return false;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * PackBits run-length encoding of one row
+     */
+    packBits(row) {
+        const out = [];
+        let i = 0;
+
+        while (i < row.length) {
+            let run = 1;
+            while (i + run < row.length && run < 128 && row[i + run] === row[i]) run++;
+
+            if (run > 1) {
+                out.push(257 - run, row[i]);    // -(run - 1) as a byte
+                i += run;
+                continue;
+            }
+
+            // Literal bytes up to the next repeat
+            const start = i;
+            while (i < row.length && i - start < 128 && !(i + 1 < row.length && row[i] === row[i + 1])) i++;
+            out.push(i - start - 1);
+            for (let j = start; j < i; j++) out.push(row[j]);
+        }
+
+        return new Uint8Array(out);
+    },
+
+    /**
+     * TIFF LZW (MSB-first codes, 9-12 bits, code width grows one code early)
+     */
+    lzw(data) {
+        const CLEAR = 256;
+        const EOI = 257;
+        const out = new Uint8Array(Math.ceil(data.length * 1.55) + 16);
+
+        let pos = 0;
+        let buffer = 0;
+        let bits = 0;
+        let width = 9;
+        let next = EOI + 1;
+        let table = new Map();
+
+        const write = (code) => {
+            buffer = (buffer << width) | code;
+            bits += width;
+            while (bits >= 8) {
+                bits -= 8;
+                out[pos++] = (buffer >>> bits) & 0xFF;
+            }
+            buffer &= (1 << bits) - 1;
+        };
+
+        // The decoder adds a table entry for every code after the first
+        const added = () => {
+            next++;
+            if (next === 4094) {
+                write(CLEAR);
+                table = new Map();
+                next = EOI + 1;
+                width = 9;
+            } else if (next > (1 << width) - 1) {
+                width++;
+            }
+        };
+
+        write(CLEAR);
+
+        let prefix = data[0];
+        for (let i = 1; i < data.length; i++) {
+            const key = prefix * 256 + data[i];
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            write(prefix);
+            table.set(key, next);
+            added();
+            prefix = data[i];
+        }
+
+        write(prefix);
+        added();
+        write(EOI);
+
+        if (bits > 0) {
+            out[pos++] = (buffer << (8 - bits)) & 0xFF;
+        }
+
+        return out.slice(0, pos);
+    }
+};
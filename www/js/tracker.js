@@ -0,0 +1,342 @@
+/**
+ * Corner Tracker Module
+ * Carries the quad between detections: sparse optical flow (pyramidal
+ * Lucas-Kanade on each corner's neighbourhood) measures where the corners
+ * moved, a constant-velocity Kalman filter per corner fuses flow and
+ * detections - the overlay follows motion without EMA lag, and the full
+ * detection runs only every DETECT_INTERVAL frames while tracking holds.
+ *
+ * Works in detection-frame coordinates; used by Detector (worker or main
+ * thread), no DOM access.
+ */
+
+const CornerTracker = {
+
+    KEYS: ['tl', 'tr', 'br', 'bl'],
+
+    state: {
+        pyramid: null,          // Previous frame, finest level first
+        width: 0,
+        height: 0,
+        lastFrameAt: 0,
+        filters: null,          // Per corner { x: axis, y: axis }
+        confidences: null,      // Last detection's _cornerConfidences
+        framesSinceDetection: 0,
+        misses: 0               // Detections in a row that found nothing
+    },
+
+    reset() {
+        this.state = {
+            pyramid: null,
+            width: 0,
+            height: 0,
+            lastFrameAt: 0,
+            filters: null,
+            confidences: null,
+            framesSinceDetection: 0,
+            misses: 0
+        };
+    },
+
+    isTracking() {
+        return this.state.filters !== null;
+    },
+
+    /**
+     * Full detection due this frame?
+     */
+    needsDetection() {
+        return !CONFIG.TRACKER.ENABLED || !this.isTracking() ||
+            this.state.framesSinceDetection >= CONFIG.TRACKER.DETECT_INTERVAL;
+    },
+
+    /**
+     * Advance to a new frame: predict every corner and measure its flow
+     * @param {ImageData} imageData
+     * @param {number} w - Width
+     * @param {number} h - Height
+     * @returns {Object|null} Tracked quad (_tracked: flow only, no detection
+     *          this frame), null when not tracking / lost
+     */
+    track(imageData, w, h) {
+        const cfg = CONFIG.TRACKER;
+        if (!cfg.ENABLED) return null;
+
+        // New stream, size change or a long pause - old motion means nothing
+        const now = Date.now();
+        if (w !== this.state.width || h !== this.state.height || now - this.state.lastFrameAt > cfg.RESET_MS) {
+            this.reset();
+        }
+
+        const pyramid = this.buildPyramid(imageData, w, h);
+        const previous = this.state.pyramid;
+        this.state.pyramid = pyramid;
+        this.state.width = w;
+        this.state.height = h;
+        this.state.lastFrameAt = now;
+
+        if (!this.isTracking() || !previous) return null;
+        this.state.framesSinceDetection++;
+
+        let tracked = 0;
+        for (const key of this.KEYS) {
+            const filter = this.state.filters[key];
+            const from = { x: filter.x.p, y: filter.y.p };
+
+            this.predict(filter.x);
+            this.predict(filter.y);
+
+            const flow = this.lucasKanade(previous, pyramid, from);
+            if (flow) {
+                this.correct(filter.x, from.x + flow.x, cfg.FLOW_NOISE);
+                this.correct(filter.y, from.y + flow.y, cfg.FLOW_NOISE);
+                tracked++;
+            }
+        }
+
+        // Most of the page lost (covered, out of frame) - wait for detection
+        if (tracked < cfg.MIN_TRACKED_CORNERS) {
+            this.state.filters = null;
+            return null;
+        }
+
+        return { ...this.quad(), _tracked: true };
+    },
+
+    /**
+     * Fold a detection into the filters (after track() for the same frame)
+     * @param {Object|null} detected - Detector result, frame coordinates
+     * @returns {Object|null} Filtered quad, null once the page is gone
+     */
+    update(detected) {
+        const cfg = CONFIG.TRACKER;
+        if (!cfg.ENABLED) return detected;
+
+        this.state.framesSinceDetection = 0;
+
+        if (!detected) {
+            if (!this.isTracking()) return null;
+
+            // Tracking may hold on to the background - a few empty
+            // detections in a row mean the page was removed
+            if (++this.state.misses >= cfg.MAX_MISSES) {
+                this.state.filters = null;
+                return null;
+            }
+            return this.quad();
+        }
+
+        this.state.misses = 0;
+        this.state.confidences = detected._cornerConfidences || null;
+
+        // Far from the tracked quad (another page, lost track) - start over
+        if (!this.isTracking() || Geometry.cornerDistance(this.quad(), detected) > cfg.MAX_JUMP * Math.hypot(this.state.width, this.state.height)) {
+            this.state.filters = {};
+            for (const key of this.KEYS) {
+                this.state.filters[key] = { x: this.createAxis(detected[key].x), y: this.createAxis(detected[key].y) };
+            }
+        } else {
+            for (const key of this.KEYS) {
+                this.correct(this.state.filters[key].x, detected[key].x, cfg.DETECTION_NOISE);
+                this.correct(this.state.filters[key].y, detected[key].y, cfg.DETECTION_NOISE);
+            }
+        }
+
+        return { ...this.quad(), _confidence: detected._confidence };
+    },
+
+    quad() {
+        const quad = {};
+        for (const key of this.KEYS) {
+            quad[key] = { x: this.state.filters[key].x.p, y: this.state.filters[key].y.p };
+        }
+        if (this.state.confidences) {
+            quad._cornerConfidences = { ...this.state.confidences };
+            quad._confidence = this.KEYS.reduce((sum, key) => sum + this.state.confidences[key], 0) / 4;
+        }
+        return quad;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // KALMAN (constant velocity, one filter per axis, dt = 1 frame)
+    // ═══════════════════════════════════════════════════════════════
+
+    createAxis(position) {
+        const r = CONFIG.TRACKER.DETECTION_NOISE;
+        return { p: position, v: 0, pp: r, pv: 0, vv: r };
+    },
+
+    /**
+     * x ← F x,  P ← F P Fᵀ + Q  with F = [[1, 1], [0, 1]]
+     */
+    predict(axis) {
+        const q = CONFIG.TRACKER.PROCESS_NOISE;
+
+        axis.p += axis.v;
+        axis.pp += 2 * axis.pv + axis.vv + q / 4;
+        axis.pv += axis.vv + q / 2;
+        axis.vv += q;
+    },
+
+    /**
+     * Position measurement z with variance r
+     */
+    correct(axis, z, r) {
+        const s = axis.pp + r;
+        const kp = axis.pp / s;
+        const kv = axis.pv / s;
+        const innovation = z - axis.p;
+
+        axis.p += kp * innovation;
+        axis.v += kv * innovation;
+
+        const pp = axis.pp, pv = axis.pv;
+        axis.pp = (1 - kp) * pp;
+        axis.pv = (1 - kp) * pv;
+        axis.vv -= kv * pv;
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // OPTICAL FLOW
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Gray pyramid, finest level first
+     */
+    buildPyramid(imageData, w, h) {
+        const data = imageData.data;
+        const gray = new Float32Array(w * h);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+
+        const levels = [{ data: gray, w, h }];
+        for (let l = 1; l < CONFIG.TRACKER.LEVELS; l++) {
+            const prev = levels[l - 1];
+            const lw = Math.floor(prev.w / 2);
+            const lh = Math.floor(prev.h / 2);
+            if (lw < 2 * CONFIG.TRACKER.WINDOW || lh < 2 * CONFIG.TRACKER.WINDOW) break;
+
+            const down = new Float32Array(lw * lh);
+            for (let y = 0; y < lh; y++) {
+                for (let x = 0; x < lw; x++) {
+                    const i = 2 * y * prev.w + 2 * x;
+                    down[y * lw + x] = (prev.data[i] + prev.data[i + 1] + prev.data[i + prev.w] + prev.data[i + prev.w + 1]) / 4;
+                }
+            }
+            levels.push({ data: down, w: lw, h: lh });
+        }
+        return levels;
+    },
+
+    /**
+     * Motion of one point from the previous to the next frame
+     * @returns {Object|null} { x, y } displacement, null = not trackable
+     */
+    lucasKanade(prevPyramid, nextPyramid, point) {
+        const cfg = CONFIG.TRACKER;
+        const r = cfg.WINDOW;
+        const levels = Math.min(prevPyramid.length, nextPyramid.length);
+        let guess = { x: 0, y: 0 };
+
+        for (let l = levels - 1; l >= 0; l--) {
+            const prev = prevPyramid[l];
+            const next = nextPyramid[l];
+            const scale = 1 << l;
+            const px = point.x / scale;
+            const py = point.y / scale;
+
+            if (px < r + 1 || py < r + 1 || px > prev.w - r - 2 || py > prev.h - r - 2) return null;
+
+            // Template and its gradients around the point
+            const size = (2 * r + 1) ** 2;
+            const template = new Float32Array(size);
+            const ix = new Float32Array(size);
+            const iy = new Float32Array(size);
+            let gxx = 0, gxy = 0, gyy = 0;
+
+            let n = 0;
+            for (let dy = -r; dy <= r; dy++) {
+                for (let dx = -r; dx <= r; dx++) {
+                    const x = px + dx, y = py + dy;
+                    template[n] = this.sample(prev, x, y);
+                    ix[n] = (this.sample(prev, x + 1, y) - this.sample(prev, x - 1, y)) / 2;
+                    iy[n] = (this.sample(prev, x, y + 1) - this.sample(prev, x, y - 1)) / 2;
+                    gxx += ix[n] * ix[n];
+                    gxy += ix[n] * iy[n];
+                    gyy += iy[n] * iy[n];
+                    n++;
+                }
+            }
+
+            // Flat or single-edge neighbourhood - the motion is not observable
+            const trace = gxx + gyy;
+            const minEigen = (trace - Math.sqrt((gxx - gyy) ** 2 + 4 * gxy * gxy)) / 2 / size;
+            const det = gxx * gyy - gxy * gxy;
+            if (minEigen < cfg.MIN_EIGENVALUE || det <= 0) return null;
+
+            let vx = 0, vy = 0;
+            for (let iter = 0; iter < cfg.ITERATIONS; iter++) {
+                let bx = 0, by = 0;
+                n = 0;
+                for (let dy = -r; dy <= r; dy++) {
+                    for (let dx = -r; dx <= r; dx++) {
+                        const diff = template[n] - this.sample(next, px + dx + guess.x + vx, py + dy + guess.y + vy);
+                        bx += diff * ix[n];
+                        by += diff * iy[n];
+                        n++;
+                    }
+                }
+
+                const ex = (gyy * bx - gxy * by) / det;
+                const ey = (gxx * by - gxy * bx) / det;
+                vx += ex;
+                vy += ey;
+                if (Math.hypot(ex, ey) < cfg.EPSILON) break;
+            }
+
+            if (l > 0) {
+                guess = { x: 2 * (guess.x + vx), y: 2 * (guess.y + vy) };
+            } else {
+                guess = { x: guess.x + vx, y: guess.y + vy };
+            }
+        }
+
+        // Patch changed too much (occlusion, blur) - don't trust the flow
+        if (this.residual(prevPyramid[0], nextPyramid[0], point, guess) > cfg.MAX_RESIDUAL) return null;
+
+        return guess;
+    },
+
+    /**
+     * Mean absolute difference between the patch and where it moved
+     */
+    residual(prev, next, point, flow) {
+        const r = CONFIG.TRACKER.WINDOW;
+        let sum = 0, n = 0;
+        for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                sum += Math.abs(
+                    this.sample(prev, point.x + dx, point.y + dy) -
+                    this.sample(next, point.x + dx + flow.x, point.y + dy + flow.y)
+                );
+                n++;
+            }
+        }
+        return sum / n;
+    },
+
+    /**
+     * Bilinear sample, clamped to the image
+     */
+    sample(img, x, y) {
+        x = Math.max(0, Math.min(img.w - 1.001, x));
+        y = Math.max(0, Math.min(img.h - 1.001, y));
+        const x0 = Math.floor(x), y0 = Math.floor(y);
+        const fx = x - x0, fy = y - y0;
+        const i = y0 * img.w + x0;
+        const d = img.data;
+        return (d[i] * (1 - fx) + d[i + 1] * fx) * (1 - fy) +
+            (d[i + img.w] * (1 - fx) + d[i + img.w + 1] * fx) * fy;
+    }
+};
@@ -15,6 +15,7 @@ const UI = {
         // Cache screen elements
         this.screens = {
             welcome: document.getElementById('screen-welcome'),
+            library: document.getElementById('screen-library'),
             camera: document.getElementById('screen-camera'),
             crop: document.getElementById('screen-crop'),
             filter: document.getElementById('screen-filter'),
@@ -59,6 +60,105 @@ const UI = {
         }
     },
     
+    /**
+     * Update auto-capture toggle
+     * @param {string} mode - 'off' | 'auto' | 'batch'
+     */
+    setAutoCaptureMode(mode) {
+        const btn = document.getElementById('btn-auto-capture');
+        if (!btn) return;
+        
+        const labels = { off: '⚡ Auto: Off', auto: '⚡ Auto', batch: '⚡ Batch' };
+        btn.textContent = labels[mode] || labels.off;
+        btn.classList.toggle('active', mode !== 'off');
+    },
+    
+    setDeskew(enabled) {
+        const btn = document.getElementById('btn-deskew');
+        if (btn) btn.classList.toggle('active', enabled);
+    },
+    
+    /**
+     * Show the camera controls the track supports
+     * @param {Object|null} support - CameraControls.describe() (null = hide all)
+     */
+    setCameraControls(support) {
+        const torch = document.getElementById('btn-torch');
+        if (torch) {
+            torch.classList.toggle('hidden', !support || !support.torch);
+            torch.classList.remove('active');
+        }
+        
+        const sliders = { zoom: 'zoom', exposure: 'exposure' };
+        for (const [key, id] of Object.entries(sliders)) {
+            const row = document.getElementById(`${id}-control`);
+            const slider = document.getElementById(`${id}-slider`);
+            const range = support ? support[key] : null;
+            
+            if (row) row.classList.toggle('hidden', !range);
+            if (slider && range) {
+                slider.min = range.min;
+                slider.max = range.max;
+                slider.step = range.step;
+                slider.value = range.value;
+            }
+        }
+    },
+    
+    setTorch(on) {
+        const btn = document.getElementById('btn-torch');
+        if (btn) btn.classList.toggle('active', on);
+    },
+    
+    setZoomValue(value) {
+        const slider = document.getElementById('zoom-slider');
+        if (slider) slider.value = value;
+    },
+    
+    /**
+     * Focus ring at a tap (coordinates relative to the camera view)
+     */
+    showFocusRing(x, y) {
+        const ring = document.getElementById('focus-ring');
+        if (!ring) return;
+        
+        ring.style.left = `${x}px`;
+        ring.style.top = `${y}px`;
+        ring.classList.add('active');
+        clearTimeout(this.focusRingTimer);
+        this.focusRingTimer = setTimeout(() => ring.classList.remove('active'), 800);
+    },
+    
+    setVoiceGuidance(enabled) {
+        const btn = document.getElementById('btn-voice');
+        if (btn) btn.textContent = enabled ? '🔊' : '🔇';
+    },
+    
+    /**
+     * Highlight the active scan mode in the camera strip
+     * @param {string} mode
+     * @param {Object} options - { rtl, idCard }
+     *   rtl - spread page order (direction chip, spread mode)
+     *   idCard - format / side chip label (ID card mode)
+     */
+    setScanMode(mode, { rtl = false, idCard = '' } = {}) {
+        document.querySelectorAll('.scan-mode-btn[data-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        
+        const direction = document.getElementById('btn-spread-rtl');
+        if (direction) {
+            direction.classList.toggle('hidden', mode !== 'spread');
+            direction.textContent = rtl ? '⇠ RTL' : 'LTR ⇢';
+        }
+        
+        const card = document.getElementById('btn-id-card');
+        if (card) {
+            card.classList.toggle('hidden', mode !== 'idcard');
+            card.textContent = idCard;
+        }
+    },
+    
     /**
      * Set page count badge
      */
@@ -103,6 +203,7 @@ const UI = {
         pages.forEach((page, index) => {
             const item = document.createElement('div');
             item.className = 'result-page-item';
+            item.dataset.index = index;
             item.innerHTML = `
                 <img src="${page.dataUrl}" alt="Page ${index + 1}">
                 <div class="result-page-number">${index + 1}</div>
@@ -111,6 +212,21 @@ const UI = {
             container.appendChild(item);
         });
         
+        // Tap page for edit actions (not the click that ends a drag)
+        container.querySelectorAll('.result-page-item').forEach(item => {
+            item.onclick = () => {
+                if (this.suppressPageClick) {
+                    this.suppressPageClick = false;
+                    return;
+                }
+                if (typeof App !== 'undefined' && App.openPageActions) {
+                    App.openPageActions(parseInt(item.dataset.index));
+                }
+            };
+        });
+        
+        this.bindPageDrag(container);
+        
         // Bind delete buttons
         container.querySelectorAll('.result-page-delete').forEach(btn => {
             btn.onclick = (e) => {
@@ -123,6 +239,225 @@ const UI = {
         });
     },
     
+    // ═══════════════════════════════════════════════════════════════
+    // PAGE DRAG-TO-REORDER (Pointer Events - touch + mouse)
+    // ═══════════════════════════════════════════════════════════════
+    
+    pageDrag: null,
+    suppressPageClick: false,
+    
+    DRAG: {
+        LONG_PRESS: 350,        // ms hold before a touch drag starts (else it scrolls)
+        MOUSE_THRESHOLD: 8,     // px mouse movement before dragging
+        TOUCH_SLOP: 10          // px finger movement that cancels the long-press
+    },
+    
+    bindPageDrag(container) {
+        container.querySelectorAll('.result-page-item').forEach(item => {
+            item.oncontextmenu = (e) => e.preventDefault();
+            
+            item.onpointerdown = (e) => {
+                if (e.button > 0 || e.target.closest('.result-page-delete')) return;
+                
+                this.pageDrag = {
+                    container,
+                    item,
+                    pointerId: e.pointerId,
+                    startX: e.clientX,
+                    startY: e.clientY,
+                    active: false,
+                    ghost: null,
+                    timer: null
+                };
+                
+                if (e.pointerType !== 'mouse') {
+                    this.pageDrag.timer = setTimeout(() => this.startPageDrag(e.clientX, e.clientY), this.DRAG.LONG_PRESS);
+                }
+            };
+            
+            item.onpointermove = (e) => {
+                const drag = this.pageDrag;
+                if (!drag || drag.item !== item || e.pointerId !== drag.pointerId) return;
+                
+                const moved = Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY);
+                
+                if (drag.active) {
+                    this.movePageDrag(e.clientX, e.clientY);
+                } else if (e.pointerType === 'mouse' && moved > this.DRAG.MOUSE_THRESHOLD) {
+                    this.startPageDrag(e.clientX, e.clientY);
+                } else if (e.pointerType !== 'mouse' && moved > this.DRAG.TOUCH_SLOP) {
+                    this.endPageDrag(false);    // Finger moved first - it's a scroll
+                }
+            };
+            
+            item.onpointerup = () => this.endPageDrag(true);
+            item.onpointercancel = () => this.endPageDrag(false);
+        });
+    },
+    
+    startPageDrag(x, y) {
+        const drag = this.pageDrag;
+        if (!drag || drag.active) return;
+        
+        clearTimeout(drag.timer);
+        drag.active = true;
+        
+        try {
+            drag.item.setPointerCapture(drag.pointerId);
+        } catch (e) {
+            // Pointer already released
+        }
+        
+        // Floating copy follows the pointer, the real item marks the drop slot
+        const rect = drag.item.getBoundingClientRect();
+        drag.offsetX = x - rect.left;
+        drag.offsetY = y - rect.top;
+        drag.ghost = drag.item.cloneNode(true);
+        drag.ghost.classList.add('result-page-ghost');
+        drag.ghost.style.width = `${rect.width}px`;
+        drag.ghost.style.height = `${rect.height}px`;
+        document.body.appendChild(drag.ghost);
+        
+        drag.item.classList.add('drag-source');
+        document.addEventListener('touchmove', this.preventTouchScroll, { passive: false });
+        if (navigator.vibrate) navigator.vibrate(20);
+        
+        this.movePageDrag(x, y);
+    },
+    
+    movePageDrag(x, y) {
+        const drag = this.pageDrag;
+        drag.ghost.style.left = `${x - drag.offsetX}px`;
+        drag.ghost.style.top = `${y - drag.offsetY}px`;
+        
+        const under = document.elementFromPoint(x, y);
+        const target = under && under.closest('.result-page-item');
+        if (!target || target === drag.item || target.parentNode !== drag.container) return;
+        
+        const items = Array.from(drag.container.children);
+        if (items.indexOf(drag.item) < items.indexOf(target)) {
+            target.after(drag.item);
+        } else {
+            target.before(drag.item);
+        }
+    },
+    
+    endPageDrag(drop) {
+        const drag = this.pageDrag;
+        if (!drag) return;
+        
+        clearTimeout(drag.timer);
+        this.pageDrag = null;
+        if (!drag.active) return;
+        
+        drag.ghost.remove();
+        drag.item.classList.remove('drag-source');
+        document.removeEventListener('touchmove', this.preventTouchScroll);
+        
+        // pointerup is followed by a click on the item - don't open actions
+        this.suppressPageClick = true;
+        setTimeout(() => { this.suppressPageClick = false; }, 300);
+        
+        const from = parseInt(drag.item.dataset.index);
+        const to = Array.from(drag.container.children).indexOf(drag.item);
+        
+        if (typeof App !== 'undefined' && App.movePage) {
+            if (drop && from !== to) {
+                App.movePage(from, to);
+            } else {
+                this.updateResultPages(App.pages);
+            }
+        }
+    },
+    
+    preventTouchScroll(e) {
+        e.preventDefault();
+    },
+    
+    /**
+     * Set document name in result screen header
+     */
+    setDocumentTitle(name) {
+        const title = document.getElementById('result-title');
+        if (title) title.textContent = name || 'Your Document';
+    },
+    
+    /**
+     * Render document library list
+     * @param {Array} docs - Document records from DocumentStore
+     * @param {Object} handlers - { onOpen, onRename, onDuplicate, onDelete } (called with doc id)
+     */
+    renderLibrary(docs, handlers) {
+        const container = document.getElementById('library-list');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        if (docs.length === 0) {
+            container.innerHTML = `
+                <div class="result-empty">
+                    <div class="result-empty-icon">📚</div>
+                    <div class="result-empty-text">No saved documents yet.</div>
+                </div>
+            `;
+            return;
+        }
+        
+        docs.forEach(doc => {
+            const item = document.createElement('div');
+            item.className = 'library-item';
+            
+            const thumb = doc.thumbnail ? document.createElement('img') : document.createElement('div');
+            thumb.className = 'library-thumb';
+            if (doc.thumbnail) {
+                thumb.src = doc.thumbnail;
+                thumb.alt = '';
+            } else {
+                thumb.textContent = '📄';
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'library-info';
+            
+            const name = document.createElement('div');
+            name.className = 'library-name';
+            name.textContent = doc.name;
+            
+            const count = doc.pages.length;
+            const meta = document.createElement('div');
+            meta.className = 'library-meta';
+            meta.textContent = `${count === 1 ? '1 page' : `${count} pages`} · ` +
+                new Date(doc.modifiedAt).toLocaleString();
+            
+            info.append(name, meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'library-actions';
+            
+            const buttons = [
+                { icon: '✏️', title: 'Rename', handler: handlers.onRename },
+                { icon: '⧉', title: 'Duplicate', handler: handlers.onDuplicate },
+                { icon: '🗑', title: 'Delete', handler: handlers.onDelete, className: 'delete' }
+            ];
+            
+            buttons.forEach(({ icon, title, handler, className }) => {
+                const btn = document.createElement('button');
+                btn.className = 'library-action' + (className ? ` ${className}` : '');
+                btn.title = title;
+                btn.textContent = icon;
+                btn.onclick = (e) => {
+                    e.stopPropagation();
+                    handler(doc.id);
+                };
+                actions.appendChild(btn);
+            });
+            
+            item.append(thumb, info, actions);
+            item.onclick = () => handlers.onOpen(doc.id);
+            container.appendChild(item);
+        });
+    },
+    
     /**
      * Flash effect on capture
      */
@@ -183,6 +518,36 @@ const UI = {
         this.showToast(message, 'error', 4000);
     },
     
+    /**
+     * Ask a yes/no question in a sheet (non-blocking window.confirm)
+     * @param {string} message
+     * @param {Object} labels - { title, confirm, cancel } texts; danger = red confirm button
+     * @returns {Promise<boolean>} true = confirmed; backdrop / ✕ = cancel
+     */
+    confirm(message, labels = {}) {
+        const modal = document.getElementById('modal-confirm');
+        if (!modal) return Promise.resolve(window.confirm(message));
+        
+        document.getElementById('confirm-title').textContent = labels.title || 'Confirm';
+        document.getElementById('confirm-message').textContent = message;
+        document.getElementById('btn-confirm-ok').textContent = labels.confirm || 'OK';
+        document.getElementById('btn-confirm-ok').classList.toggle('danger', Boolean(labels.danger));
+        document.getElementById('btn-confirm-cancel').textContent = labels.cancel || 'Cancel';
+        
+        return new Promise(resolve => {
+            const answer = (value) => {
+                modal.classList.remove('active');
+                resolve(value);
+            };
+        
+            document.getElementById('btn-confirm-ok').onclick = () => answer(true);
+            document.getElementById('btn-confirm-cancel').onclick = () => answer(false);
+            document.getElementById('btn-confirm-close').onclick = () => answer(false);
+            document.getElementById('modal-confirm-backdrop').onclick = () => answer(false);
+            modal.classList.add('active');
+        });
+    },
+    
     /**
      * Set active filter button
      */
@@ -209,26 +574,149 @@ const UI = {
      * Reset adjustment sliders
      */
     resetAdjustments() {
-        const brightness = document.getElementById('adj-brightness');
-        const contrast = document.getElementById('adj-contrast');
+        this.setAdjustments({ brightness: 0, contrast: 0 });
+    },
+    
+    /**
+     * Move adjustment sliders to saved values (without firing input events)
+     */
+    setAdjustments(adjustments) {
+        ['brightness', 'contrast'].forEach(type => {
+            const input = document.getElementById(`adj-${type}`);
+            const value = adjustments[type] || 0;
+            
+            if (input) input.value = value;
+            this.setAdjustmentValue(type, value);
+            
+            // Custom slider fill/thumb (index.html)
+            if (typeof updateSlider === 'function') {
+                updateSlider(`adj-${type}`);
+            }
+        });
+    },
+    
+    /**
+     * Show page actions sheet (result screen)
+     * @param {Object} page - Offers undo while the page is auto-rotated
+     */
+    showPageActions(index, page) {
+        const modal = document.getElementById('modal-page');
+        const title = document.getElementById('page-actions-title');
+        const undo = document.getElementById('btn-page-undo-orientation');
         
-        if (brightness) brightness.value = 0;
-        if (contrast) contrast.value = 0;
+        if (title) title.textContent = `Page ${index + 1}`;
+        if (undo) {
+            const turned = page ? ((page.rotation || 0) + (page.autoRotation || 0)) % 360 : 0;
+            undo.classList.toggle('hidden', !page || !page.autoRotation || turned === 0);
+        }
+        if (modal) modal.classList.add('active');
+    },
+    
+    /**
+     * Hide page actions sheet
+     */
+    hidePageActions() {
+        const modal = document.getElementById('modal-page');
+        if (modal) modal.classList.remove('active');
+    },
+    
+    /**
+     * Show export settings sheet
+     * @param {Object} options - Current export options
+     */
+    showPdfSettings(options) {
+        document.getElementById('export-format').value = options.format;
+        document.getElementById('pdf-page-size').value = options.pageSize;
+        document.getElementById('pdf-custom-width').value = options.customWidth;
+        document.getElementById('pdf-custom-height').value = options.customHeight;
+        document.getElementById('pdf-orientation').value = options.orientation;
+        document.getElementById('pdf-fit').value = options.fit;
+        document.getElementById('pdf-dpi').value = String(options.dpi);
+        document.getElementById('pdf-margin').value = options.margin;
+        document.getElementById('pdf-preset').value = options.preset;
+        document.getElementById('pdf-max-size').value = String(options.maxSizeMB);
+        
+        this.updatePdfSettingsFields();
+        document.getElementById('modal-pdf').classList.add('active');
+    },
+    
+    hidePdfSettings() {
+        const modal = document.getElementById('modal-pdf');
+        if (modal) modal.classList.remove('active');
+    },
+    
+    /**
+     * Read export options from the sheet
+     */
+    readPdfSettings() {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) && value >= 0 ? value : fallback;
+        };
+        const defaults = CONFIG.PDF.DEFAULTS;
+        
+        return {
+            format: document.getElementById('export-format').value,
+            pageSize: document.getElementById('pdf-page-size').value,
+            customWidth: Math.max(20, number('pdf-custom-width', defaults.customWidth)),
+            customHeight: Math.max(20, number('pdf-custom-height', defaults.customHeight)),
+            orientation: document.getElementById('pdf-orientation').value,
+            fit: document.getElementById('pdf-fit').value,
+            dpi: number('pdf-dpi', defaults.dpi) || defaults.dpi,
+            margin: number('pdf-margin', defaults.margin),
+            preset: document.getElementById('pdf-preset').value,
+            maxSizeMB: number('pdf-max-size', 0)
+        };
+    },
+    
+    /**
+     * Estimated PDF size line in the settings sheet
+     */
+    setPdfEstimate(text, type = 'info') {
+        const el = document.getElementById('pdf-size-estimate');
+        if (!el) return;
+        
+        el.textContent = text;
+        el.classList.toggle('warning', type === 'warning');
+    },
+    
+    /**
+     * Show only the fields that apply to the chosen format / page size / fit
+     * (page layout and size cap are PDF-only)
+     */
+    updatePdfSettingsFields() {
+        const format = Exporter.getFormat(document.getElementById('export-format').value);
+        const isPdf = format.id === 'pdf';
+        const pageSize = document.getElementById('pdf-page-size').value;
+        const fit = document.getElementById('pdf-fit').value;
+        const fitToImage = pageSize === 'image';
         
-        this.setAdjustmentValue('brightness', 0);
-        this.setAdjustmentValue('contrast', 0);
+        document.getElementById('pdf-max-size-row').classList.toggle('hidden', !isPdf);
+        document.getElementById('pdf-page-size-row').classList.toggle('hidden', !isPdf);
+        document.getElementById('pdf-custom-size').classList.toggle('hidden', !isPdf || pageSize !== 'custom');
+        document.getElementById('pdf-orientation-row').classList.toggle('hidden', !isPdf || fitToImage);
+        document.getElementById('pdf-fit-row').classList.toggle('hidden', !isPdf || fitToImage);
+        document.getElementById('pdf-dpi-row').classList.toggle('hidden', !isPdf || (!fitToImage && fit !== 'actual'));
+        document.getElementById('pdf-margin-row').classList.toggle('hidden', !isPdf);
+        document.getElementById('btn-pdf-settings-create').textContent = `📑 Create ${format.label}`;
     },
     
     /**
      * Show share modal
+     * @param {number} pageCount
+     * @param {Object} format - Exporter.getFormat() of the created file
      */
-    showShareModal(pageCount) {
+    showShareModal(pageCount, format = Exporter.getFormat('pdf')) {
         const modal = document.getElementById('modal-share');
         const countEl = document.getElementById('modal-page-count');
+        const titleEl = document.getElementById('share-title');
+        const iconEl = document.getElementById('share-icon');
         
         if (countEl) {
             countEl.textContent = pageCount === 1 ? '1 page' : `${pageCount} pages`;
         }
+        if (titleEl) titleEl.textContent = `${format.label} Ready! 🎉`;
+        if (iconEl) iconEl.textContent = format.icon;
         
         if (modal) modal.classList.add('active');
     },
@@ -0,0 +1,78 @@
+/**
+ * ZIP Module
+ * Minimal ZIP writer - entries are stored, page images are already compressed
+ */
+
+const ZipArchive = {
+
+    /**
+     * Bundle files into a ZIP
+     * @param {Array<{ name: string, data: Uint8Array }>} files
+     * @param {Date} date - Modification time of every entry
+     * @returns {Blob} application/zip
+     */
+    create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const size = file.data.length;
+            const crc = Checksum.crc32(file.data);
+
+            // Local file header
+            const local = new Uint8Array(30 + name.length);
+            const lv = new DataView(local.buffer);
+            lv.setUint32(0, 0x04034B50, true);
+            lv.setUint16(4, 20, true);          // Version needed (2.0)
+            lv.setUint16(6, 0x0800, true);      // UTF-8 names
+            lv.setUint16(8, 0, true);           // Stored
+            lv.setUint16(10, time, true);
+            lv.setUint16(12, day, true);
+            lv.setUint32(14, crc, true);
+            lv.setUint32(18, size, true);
+            lv.setUint32(22, size, true);
+            lv.setUint16(26, name.length, true);
+            local.set(name, 30);
+
+            // Central directory entry
+            const entry = new Uint8Array(46 + name.length);
+            const cv = new DataView(entry.buffer);
+            cv.setUint32(0, 0x02014B50, true);
+            cv.setUint16(4, 20, true);          // Version made by
+            cv.setUint16(6, 20, true);
+            cv.setUint16(8, 0x0800, true);
+            cv.setUint16(10, 0, true);
+            cv.setUint16(12, time, true);
+            cv.setUint16(14, day, true);
+            cv.setUint32(16, crc, true);
+            cv.setUint32(20, size, true);
+            cv.setUint32(24, size, true);
+            cv.setUint16(28, name.length, true);
+            cv.setUint32(42, offset, true);     // Local header offset
+            entry.set(name, 46);
+
+            parts.push(local, file.data);
+            central.push(entry);
+            offset += local.length + size;
+        }
+
+        const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+
+        // End of central directory
+        const end = new Uint8Array(22);
+        const ev = new DataView(end.buffer);
+        ev.setUint32(0, 0x06054B50, true);
+        ev.setUint16(8, files.length, true);
+        ev.setUint16(10, files.length, true);
+        ev.setUint32(12, centralSize, true);
+        ev.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+};